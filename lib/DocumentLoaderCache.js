@@ -0,0 +1,200 @@
+/*
+ * Copyright (c) 2018 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const util = require('./util');
+
+/**
+ * A cache of remote documents (as returned by a JSON-LD document loader) by
+ * URL. Each entry expires after its own TTL; failed loads are cached too,
+ * for a (usually shorter) negative TTL. Once the cache holds `maxSize`
+ * entries, the least recently used one is evicted.
+ *
+ * A document loader is cached via `wrap`. Concurrent loads of the same URL
+ * share a single call to the wrapped loader.
+ */
+module.exports = class DocumentLoaderCache {
+  /**
+   * Creates a new DocumentLoaderCache.
+   *
+   * @param [options] the options to use:
+   *          [ttl] the time, in milliseconds, a loaded document is cached
+   *            for (default: 5 minutes).
+   *          [negativeTtl] the time, in milliseconds, a failure to load a
+   *            document is cached for; 0 to not cache failures (default: 30
+   *            seconds).
+   *          [maxSize] the maximum number of cached entries (default: 1000).
+   *          [now()] a function that returns the current time as a Date or a
+   *            number of milliseconds since the epoch (default: `Date.now`).
+   */
+  constructor({
+    ttl = 5 * 60 * 1000, negativeTtl = 30 * 1000, maxSize = 1000,
+    now = Date.now
+  } = {}) {
+    _checkTtl(ttl, 'ttl');
+    _checkTtl(negativeTtl, 'negativeTtl');
+    if(!(Number.isInteger(maxSize) && maxSize > 0)) {
+      throw new TypeError('"maxSize" must be a positive integer.');
+    }
+    if(typeof now !== 'function') {
+      throw new TypeError('"now" must be a function.');
+    }
+    this.ttl = ttl;
+    this.negativeTtl = negativeTtl;
+    this.maxSize = maxSize;
+    this.now = now;
+    // entries by URL, least recently used first
+    this._entries = new Map();
+  }
+
+  /**
+   * The number of cached entries, including any that have expired but have
+   * not yet been removed.
+   */
+  get size() {
+    return this._entries.size;
+  }
+
+  /**
+   * Wraps a document loader so that the documents it loads are cached.
+   *
+   * @param documentLoader(url, [callback(err, remoteDoc)]) the document
+   *          loader to wrap.
+   *
+   * @return the caching document loader; it returns a Promise.
+   */
+  wrap(documentLoader) {
+    if(typeof documentLoader !== 'function') {
+      throw new TypeError('"documentLoader" must be a function.');
+    }
+    documentLoader = util.normalizeAsyncFn(documentLoader, 1);
+    return url => this.load(url, documentLoader);
+  }
+
+  /**
+   * Gets the remote document for a URL from the cache or, if it is not
+   * cached or has expired, via the given document loader.
+   *
+   * @param url the URL of the document.
+   * @param documentLoader(url) the promise-based document loader to use.
+   *
+   * @return a Promise that resolves to a copy of the remote document.
+   */
+  async load(url, documentLoader) {
+    let entry = this._getEntry(url);
+    if(!entry) {
+      entry = {expires: Infinity};
+      entry.promise = Promise.resolve().then(() => documentLoader(url));
+      this._setEntry(url, entry);
+      entry.promise.then(() => {
+        this._expireEntry(url, entry, this.ttl);
+      }, () => {
+        this._expireEntry(url, entry, this.negativeTtl);
+      });
+    }
+    return util.deepClone(await entry.promise);
+  }
+
+  /**
+   * Gets a cached remote document.
+   *
+   * @param url the URL of the document.
+   *
+   * @return a Promise that resolves to a copy of the remote document or to
+   *           undefined if it is not cached; it rejects with the cached
+   *           error if loading the document failed.
+   */
+  async get(url) {
+    const entry = this._getEntry(url);
+    if(!entry) {
+      return undefined;
+    }
+    return util.deepClone(await entry.promise);
+  }
+
+  /**
+   * Adds a remote document to the cache, replacing any cached entry.
+   *
+   * @param url the URL of the document.
+   * @param remoteDoc the remote document: `{contextUrl, documentUrl,
+   *          document}`.
+   * @param [options] the options to use:
+   *          [ttl] the time, in milliseconds, to cache the document for
+   *            instead of the cache's `ttl`.
+   */
+  set(url, remoteDoc, {ttl = this.ttl} = {}) {
+    _checkTtl(ttl, 'ttl');
+    const entry = {
+      expires: Infinity,
+      promise: Promise.resolve(util.deepClone(remoteDoc))
+    };
+    this._setEntry(url, entry);
+    this._expireEntry(url, entry, ttl);
+  }
+
+  /**
+   * Removes the cached entry for a URL, e.g. after a key has been revoked,
+   * so the next load of the URL uses the document loader.
+   *
+   * @param url the URL of the document.
+   *
+   * @return true if an entry was removed, false if not.
+   */
+  invalidate(url) {
+    return this._entries.delete(url);
+  }
+
+  /**
+   * Removes all cached entries.
+   */
+  clear() {
+    this._entries.clear();
+  }
+
+  _getEntry(url) {
+    const entry = this._entries.get(url);
+    if(!entry) {
+      return null;
+    }
+    if(entry.expires <= util.getTime(this)) {
+      this._entries.delete(url);
+      return null;
+    }
+    // mark as most recently used
+    this._entries.delete(url);
+    this._entries.set(url, entry);
+    return entry;
+  }
+
+  _setEntry(url, entry) {
+    this._entries.delete(url);
+    this._entries.set(url, entry);
+    // evict least recently used entries
+    for(const key of this._entries.keys()) {
+      if(this._entries.size <= this.maxSize) {
+        break;
+      }
+      this._entries.delete(key);
+    }
+  }
+
+  // sets an entry to expire once it has been loaded; entries replaced or
+  // invalidated while loading are left alone
+  _expireEntry(url, entry, ttl) {
+    if(this._entries.get(url) !== entry) {
+      return;
+    }
+    if(ttl === 0) {
+      this._entries.delete(url);
+      return;
+    }
+    entry.expires = util.getTime(this) + ttl;
+  }
+};
+
+function _checkTtl(ttl, name) {
+  if(!(typeof ttl === 'number' && ttl >= 0)) {
+    throw new TypeError(`"${name}" must be a non-negative number.`);
+  }
+}
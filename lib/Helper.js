@@ -4,7 +4,13 @@
 'use strict';
 
 const constants = require('./constants');
+const didKey = require('./didKey');
+const didWeb = require('./didWeb');
+const errors = require('./errors');
+const purposes = require('./purposes');
 const util = require('./util');
+const ApplicationSuiteProofPurpose = require(
+  './purposes/ApplicationSuiteProofPurpose');
 
 module.exports = class Helper {
   constructor(injector) {
@@ -46,6 +52,8 @@ module.exports = class Helper {
    *            or not the key owner is trusted.
    *          [documentLoader(url, callback(err, remoteDoc))] the document
    *            loader.
+   *          [checks] the `ProofChecks` to record the key owner's document
+   *            in.
    *
    * @return a Promise that resolves to true if the key is trusted.
    */
@@ -65,7 +73,8 @@ module.exports = class Helper {
       const owner = getPublicKeyOwner;
       getPublicKeyOwner = ownerId => {
         if(ownerId !== owner.id) {
-          throw new Error('Public key owner not found.');
+          throw new errors.KeyOwnerNotFoundError(
+            'Public key owner not found.');
         }
         return owner;
       };
@@ -77,54 +86,78 @@ module.exports = class Helper {
     const framedKey = await this._frameKey(key, options);
 
     // get proof purpose
-    const {proofPurpose = 'publicKey'} = options.proof || {};
+    const purpose = this.getProofPurpose(options.proof);
 
-    // get framed owners
-    const owners = await getPublicKeyOwner(framedKey.owner, options);
-    const framedOwners = await this._frameKeyOwners(
-      owners, proofPurpose, options);
-
-    // find specific owner of key
-    let owner;
+    // find specific owner of key that authorizes it for the proof purpose;
+    // a key may declare its owners via `owner` or, as in DID documents,
+    // `controller`, and each declared owner is checked in turn
     const jsonld = this.injector.use('jsonld');
-    for(let i = 0; i < framedOwners.length; ++i) {
-      let keys;
-      // direct access to public keys
-      if(proofPurpose === 'publicKey') {
-        keys = jsonld.getValues(framedOwners[i], proofPurpose);
-      } else {
-        // FIXME: apply known application suite rules and allow for custom
-        //   functions to be passed to handle unknown ones
-
-        // indirect access via application suites
-        keys = jsonld.getValues(framedOwners[i], proofPurpose)
-          .map(appSuite => appSuite.publicKey);
-      }
-
-      if(keys.some(key => typeof key === 'object' ?
-        key.id === framedKey.id : key === framedKey.id)) {
-        owner = framedOwners[i];
+    const ownerIds = jsonld.getValues(framedKey, 'owner').concat(
+      jsonld.getValues(framedKey, 'controller'))
+      .map(owner => typeof owner === 'object' ? owner.id : owner)
+      .filter((id, i, ids) => ids.indexOf(id) === i);
+    let owner;
+    let ownerDocument;
+    for(const ownerId of ownerIds) {
+      ownerDocument = await getPublicKeyOwner(ownerId, options);
+      const framedOwners = await this._frameKeyOwners(
+        ownerDocument, purpose, options);
+      owner = framedOwners.find(framedOwner => purpose.getAuthorizedKeys(
+        framedOwner).some(key => typeof key === 'object' ?
+          key.id === framedKey.id : key === framedKey.id));
+      if(owner) {
         break;
       }
     }
     if(!owner) {
-      throw new Error('The public key is not owned by its declared owner.');
+      throw new errors.KeyNotAuthorizedError(
+        'The public key is not owned by its declared owner.');
+    }
+    if(options.checks) {
+      options.checks.controllerDocument = ownerDocument;
     }
 
-    const isOwnerTrusted = checkKeyOwner(owner, key, options);
+    const isOwnerTrusted = await checkKeyOwner(owner, key, options);
     if(!isOwnerTrusted) {
-      throw new Error('The owner of the public key is not trusted.');
+      throw new errors.UntrustedOwnerError(
+        'The owner of the public key is not trusted.');
     }
 
     return true;
   }
 
   /**
-   * Retrieves a JSON-LD document over HTTP. To implement caching, override
-   * this method.
+   * Gets the proof purpose for a proof. Proofs without a `proofPurpose` use
+   * the `publicKey` purpose; purposes that are not registered are treated as
+   * application suites.
+   *
+   * @param [proof] the proof node, framed according to the security-v2
+   *          context.
+   *
+   * @return the ProofPurpose.
+   */
+  getProofPurpose(proof) {
+    const {proofPurpose = 'publicKey'} = proof || {};
+    if(typeof proofPurpose !== 'string') {
+      throw new errors.ProofPurposeError('"proofPurpose" must be a string.');
+    }
+    if(purposes.hasOwnProperty(proofPurpose)) {
+      const ProofPurpose = purposes[proofPurpose];
+      return new ProofPurpose(this.injector);
+    }
+    return new ApplicationSuiteProofPurpose(this.injector, proofPurpose);
+  }
+
+  /**
+   * Retrieves a JSON-LD document over HTTP. To cache documents, wrap the
+   * document loader via a `DocumentLoaderCache` (or override this method).
+   * did:key DIDs and keys are resolved offline instead; did:web DIDs are
+   * resolved by retrieving their DID document and a DID URL with a fragment
+   * resolves to that verification method in it.
    *
    * @param url the URL to HTTP GET.
    * @param [options] the options to use.
+   *          [keyType] the key type to express a did:key key as.
    *          [documentLoader(url, callback(err, remoteDoc))] the document
    *          loader.
    *
@@ -133,6 +166,25 @@ module.exports = class Helper {
   async getJsonLd(url, options) {
     options = options || {};
 
+    if(didKey.isDidKey(url)) {
+      return didKey.resolve(
+        url, {injector: this.injector, keyType: options.keyType});
+    }
+
+    if(didWeb.isDidWeb(url)) {
+      const did = url.split('#')[0];
+      const didDocument = await this.getJsonLd(
+        didWeb.getDidDocumentUrl(did), options);
+      if(!(didDocument && didDocument.id === did)) {
+        throw new errors.KeyNotFoundError(
+          `The DID document for "${did}" has a different "id".`);
+      }
+      if(did === url) {
+        return didDocument;
+      }
+      return didWeb.getVerificationMethod(didDocument, url);
+    }
+
     const jsonld = this.injector.use('jsonld');
     const remoteDoc = await jsonld.get(url, options);
 
@@ -156,9 +208,11 @@ module.exports = class Helper {
     }
 
     const frame = {
-      '@context': constants.SECURITY_CONTEXT_URL,
+      '@context': constants.SECURITY_CONTEXT,
+      '@requireAll': false,
       type: requiredKeyType,
-      owner: {'@embed': '@never'}
+      owner: {'@embed': '@never'},
+      controller: {'@embed': '@never'}
     };
     const jsonld = this.injector.use('jsonld');
     const opts = {};
@@ -169,30 +223,22 @@ module.exports = class Helper {
 
     // FIXME: improve validation
     if(!framed['@graph'][0]) {
-      throw new Error(`The public key is not a "${requiredKeyType}".`);
+      throw new errors.InvalidKeyError(
+        `The public key is not a "${requiredKeyType}".`);
     }
-    if(!framed['@graph'][0].owner) {
-      throw new Error('The public key has no specified owner.');
+    if(!(framed['@graph'][0].owner || framed['@graph'][0].controller)) {
+      throw new errors.KeyNotAuthorizedError(
+        'The public key has no specified owner.');
     }
     framed['@graph'][0]['@context'] = framed['@context'];
     return framed['@graph'][0];
   }
 
-  async _frameKeyOwners(owners, proofPurpose, options) {
-    const frame = {
-      '@context': constants.SECURITY_CONTEXT_URL,
+  async _frameKeyOwners(owners, purpose, options) {
+    const frame = Object.assign({
+      '@context': constants.SECURITY_CONTEXT,
       '@requireAll': false
-    };
-    if(proofPurpose === 'publicKey') {
-      // direct access to public keys
-      frame.publicKey = {'@embed': '@never'};
-    } else {
-      // indirect access to public keys via application suites
-      frame[proofPurpose] = {
-        '@embed': '@always',
-        publicKey: {'@embed': '@never'}
-      };
-    }
+    }, purpose.getOwnerFrame());
     const jsonld = this.injector.use('jsonld');
     const opts = {};
     if(options.documentLoader) {
@@ -204,7 +250,7 @@ module.exports = class Helper {
 
   async _frameAppSuite(owners, proofPurpose, options) {
     const frame = {
-      '@context': constants.SECURITY_CONTEXT_URL,
+      '@context': constants.SECURITY_CONTEXT,
       '@requireAll': false,
       [proofPurpose]: {'@embed': '@never'}
     };
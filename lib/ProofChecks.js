@@ -0,0 +1,121 @@
+/*
+ * Copyright (c) 2018 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const errors = require('./errors');
+
+// the checks made to verify a proof, in order, and the code each reports
+// when it fails without an error (a `SignatureError` has its own `code` and
+// any other error, e.g. a document loader failure, is reported as 'error')
+const CHECKS = [
+  ['algorithm', 'unsupported-algorithm'],
+  ['previousProofs', 'invalid-previous-proof'],
+  ['nonce', 'invalid-nonce'],
+  ['domain', 'invalid-domain'],
+  ['timestamp', 'invalid-timestamp'],
+  ['expiration', 'proof-expired'],
+  ['proofPurpose', 'invalid-proof-purpose'],
+  ['keyRetrieval', 'key-not-found'],
+  ['revocation', 'key-revoked'],
+  ['keyExpiration', 'key-expired'],
+  ['ownership', 'untrusted-key'],
+  ['keyValidation', 'invalid-key'],
+  ['signature', 'invalid-signature']
+];
+
+/**
+ * Records the outcome of each check made while verifying a proof. Every check
+ * starts out skipped with the code 'not-reached' and is then marked as
+ * 'passed' (code 'ok'), 'failed' (with a code saying why) or 'skipped' (with
+ * a code such as 'disabled' or 'not-applicable').
+ */
+module.exports = class ProofChecks {
+  constructor() {
+    this.checks = CHECKS.map(([name]) => ({
+      name,
+      status: 'skipped',
+      code: 'not-reached'
+    }));
+    // the documents resolved for the proof's key and its controller
+    this.publicKeyDocument = undefined;
+    this.controllerDocument = undefined;
+    // the revocation and expiration policies applied to the key
+    this.revocationPolicy = undefined;
+    this.keyExpirationPolicy = undefined;
+  }
+
+  /**
+   * Marks a check as passed.
+   *
+   * @param name the name of the check.
+   * @param [code] the code to report (default: 'ok').
+   */
+  pass(name, code = 'ok') {
+    Object.assign(this._get(name), {status: 'passed', code});
+  }
+
+  /**
+   * Marks a check as failed.
+   *
+   * @param name the name of the check.
+   * @param [error] the error the check failed with; the check's code is the
+   *          error's `code` if it is a `SignatureError` and 'error' for any
+   *          other error.
+   */
+  fail(name, error) {
+    const check = this._get(name);
+    check.status = 'failed';
+    if(!error) {
+      check.code = CHECKS.find(([n]) => n === name)[1];
+      return;
+    }
+    check.code = (error instanceof errors.SignatureError) ?
+      error.code : 'error';
+    check.error = error;
+  }
+
+  /**
+   * Marks a check as skipped.
+   *
+   * @param name the name of the check.
+   * @param code the reason, e.g. 'disabled' if an option turned it off or
+   *          'not-applicable' if there was nothing to check.
+   */
+  skip(name, code) {
+    Object.assign(this._get(name), {status: 'skipped', code});
+  }
+
+  /**
+   * Runs a check, marking it as passed if it resolves to a truthy value and
+   * as failed otherwise. Errors are recorded and rethrown.
+   *
+   * @param name the name of the check.
+   * @param fn() the function that runs the check.
+   *
+   * @return a Promise that resolves to the value `fn` resolves to.
+   */
+  async run(name, fn) {
+    let result;
+    try {
+      result = await fn();
+    } catch(e) {
+      this.fail(name, e);
+      throw e;
+    }
+    if(result) {
+      this.pass(name);
+    } else {
+      this.fail(name);
+    }
+    return result;
+  }
+
+  _get(name) {
+    const check = this.checks.find(check => check.name === name);
+    if(!check) {
+      throw new Error(`Unknown check "${name}".`);
+    }
+    return check;
+  }
+};
@@ -3,8 +3,17 @@
  */
 'use strict';
 
+const SECURITY_CONTEXT_V2_URL = 'https://w3id.org/security/v2';
+
 module.exports = {
-  SECURITY_CONTEXT_URL: 'https://w3id.org/security/v2',
+  CREDENTIALS_CONTEXT_V1_URL: 'https://www.w3.org/2018/credentials/v1',
+  DID_CONTEXT_V1_URL: 'https://www.w3.org/ns/did/v1',
+  ED25519_2020_CONTEXT_URL: 'https://w3id.org/security/suites/ed25519-2020/v1',
+  SECURITY_CONTEXT_URL: SECURITY_CONTEXT_V2_URL,
   SECURITY_CONTEXT_V1_URL: 'https://w3id.org/security/v1',
-  SECURITY_CONTEXT_V2_URL: 'https://w3id.org/security/v2'
+  SECURITY_CONTEXT_V2_URL,
+  // the context proofs and keys are compacted to: security-v2 and the terms
+  // of the suites this library added since it was published
+  SECURITY_CONTEXT: [
+    SECURITY_CONTEXT_V2_URL, require('./contexts/security-suites')]
 };
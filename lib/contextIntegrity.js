@@ -0,0 +1,95 @@
+/*
+ * Copyright (c) 2018 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const constants = require('./constants');
+const errors = require('./errors');
+const util = require('./util');
+
+const api = {};
+module.exports = api;
+
+// digests of the published contexts embedded in this library
+api.PINNED_CONTEXTS = {
+  [constants.CREDENTIALS_CONTEXT_V1_URL]:
+    'sha256-F8nojGvaoJKYR8NqcUKqSmwhg1yuq/1kziI/iQioltI=',
+  [constants.DID_CONTEXT_V1_URL]:
+    'sha256-p+FGxA/OwAXT8PFK50VmX0RtpY15FKnY9zN0Zob62Cs=',
+  [constants.ED25519_2020_CONTEXT_URL]:
+    'sha256-+1F/CdmQgprtc0ybrYy7sqw9UGO4Zcfj2B8kYHS/VpE=',
+  [constants.SECURITY_CONTEXT_V1_URL]:
+    'sha256-tFRD1Znv8fgsF2A7bNZBxEF75M3EsBMvnKPNuLmyjnk=',
+  [constants.SECURITY_CONTEXT_V2_URL]:
+    'sha256-RqfWjaOAPoUtn46DMjK035kyHBYJrWB/qyTQ6zFfaZU='
+};
+
+/**
+ * Computes the digest of a JSON document: the base64-encoded SHA-256 hash of
+ * its JSON serialization with object keys in sorted order (so formatting and
+ * key order do not matter), prefixed with `sha256-`.
+ *
+ * @param document the JSON document.
+ * @param forge the forge library.
+ *
+ * @return the digest.
+ */
+api.digest = (document, {forge}) => {
+  const md = forge.md.sha256.create();
+  md.update(api.canonicalize(document), 'utf8');
+  return 'sha256-' + forge.util.encode64(md.digest().getBytes());
+};
+
+/**
+ * Serializes a JSON value with object keys in sorted order.
+ *
+ * @param value the JSON value.
+ *
+ * @return the serialized value.
+ */
+api.canonicalize = value => {
+  if(Array.isArray(value)) {
+    return '[' + value.map(api.canonicalize).join(',') + ']';
+  }
+  if(value && typeof value === 'object') {
+    return '{' + Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => JSON.stringify(key) + ':' + api.canonicalize(value[key]))
+      .join(',') + '}';
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * Wraps a document loader so that each document it loads for a pinned URL is
+ * checked against the digests allowed for that URL. Documents for other URLs
+ * are not checked.
+ *
+ * @param documentLoader(url, [callback(err, remoteDoc)]) the document loader
+ *          to wrap.
+ * @param digests a map of URLs to the digest (or an array of the digests)
+ *          their documents may have.
+ * @param forge the forge library.
+ *
+ * @return the checking document loader; it returns a Promise.
+ */
+api.wrap = (documentLoader, digests, {forge}) => {
+  documentLoader = util.normalizeAsyncFn(documentLoader, 1);
+  return async url => {
+    const remoteDoc = await documentLoader(url);
+    if(digests.hasOwnProperty(url) && digests[url]) {
+      const allowed = [].concat(digests[url]);
+      let document = remoteDoc.document;
+      if(typeof document === 'string') {
+        document = JSON.parse(document);
+      }
+      const digest = api.digest(document, {forge});
+      if(allowed.indexOf(digest) === -1) {
+        throw new errors.ContextIntegrityError(
+          `The document loaded for "${url}" has the digest "${digest}", ` +
+          'which does not match its pinned digest.');
+      }
+    }
+    return remoteDoc;
+  };
+};
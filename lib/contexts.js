@@ -6,6 +6,9 @@
 const constants = require('./constants');
 
 module.exports = {
+  [constants.CREDENTIALS_CONTEXT_V1_URL]: require('./contexts/credentials-v1'),
+  [constants.DID_CONTEXT_V1_URL]: require('./contexts/did-v1'),
+  [constants.ED25519_2020_CONTEXT_URL]: require('./contexts/ed25519-2020-v1'),
   [constants.SECURITY_CONTEXT_V1_URL]: require('./contexts/security-v1'),
   [constants.SECURITY_CONTEXT_V2_URL]: require('./contexts/security-v2')
 };
@@ -0,0 +1,28 @@
+// the terms this library uses that the published security-v2 context does
+// not define; it is used inline, after security-v2 (see
+// `SECURITY_CONTEXT` in `constants`)
+module.exports = {
+  "@version": 1.1,
+  "EcdsaSecp256k1Signature2019": "sec:EcdsaSecp256k1Signature2019",
+  "EcdsaSecp256k1VerificationKey2019": "sec:EcdsaSecp256k1VerificationKey2019",
+  "EcdsaSecp256r1Signature2019": "sec:EcdsaSecp256r1Signature2019",
+  "EcdsaSecp256r1VerificationKey2019": "sec:EcdsaSecp256r1VerificationKey2019",
+  "EcdsaSecp384r1Signature2019": "sec:EcdsaSecp384r1Signature2019",
+  "EcdsaSecp384r1VerificationKey2019": "sec:EcdsaSecp384r1VerificationKey2019",
+  "Ed25519Signature2020": "sec:Ed25519Signature2020",
+  "Ed25519VerificationKey2020": "sec:Ed25519VerificationKey2020",
+  "JsonWebKey2020": "sec:JsonWebKey2020",
+  "JsonWebSignature2020": "sec:JsonWebSignature2020",
+
+  "assertionMethod": {"@id": "sec:assertionMethod", "@type": "@id", "@container": "@set"},
+  "authentication": {"@id": "sec:authenticationMethod", "@type": "@id", "@container": "@set"},
+  "capability": {"@id": "sec:capability", "@type": "@id"},
+  "capabilityInvocation": {"@id": "sec:capabilityInvocationMethod", "@type": "@id", "@container": "@set"},
+  "challenge": "sec:challenge",
+  "controller": {"@id": "sec:controller", "@type": "@id"},
+  "previousProof": {"@id": "sec:previousProof", "@type": "@id"},
+  "publicKeyHex": "sec:publicKeyHex",
+  "publicKeyJwk": {"@id": "sec:publicKeyJwk", "@type": "@json"},
+  "publicKeyMultibase": {"@id": "sec:publicKeyMultibase", "@type": "sec:multibase"},
+  "verificationMethod": {"@id": "sec:verificationMethod", "@type": "@id"}
+};
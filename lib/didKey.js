@@ -0,0 +1,129 @@
+/*
+ * Copyright (c) 2018 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const constants = require('./constants');
+const errors = require('./errors');
+const keyEncoding = require('./keyEncoding');
+const util = require('./util');
+
+const api = {};
+module.exports = api;
+
+const DID_KEY_PREFIX = 'did:key:';
+
+// key algorithms (see `keyEncoding`) a did:key may have, with the key types
+// each one may be expressed as; the first key type is the default
+const KEY_TYPES = [{
+  keyAlgorithm: 'ed25519',
+  length: 32,
+  types: [
+    'Ed25519VerificationKey2018', 'Ed25519VerificationKey2020',
+    'JsonWebKey2020'
+  ]
+}, {
+  // compressed
+  keyAlgorithm: 'secp256k1',
+  length: 33,
+  types: ['EcdsaSecp256k1VerificationKey2019', 'JsonWebKey2020']
+}, {
+  // compressed
+  keyAlgorithm: 'p256',
+  length: 33,
+  types: ['EcdsaSecp256r1VerificationKey2019', 'JsonWebKey2020']
+}];
+
+/**
+ * Returns whether or not the given URL is a did:key DID or DID URL.
+ *
+ * @param url the URL to check.
+ *
+ * @return true if the URL is a did:key, false if not.
+ */
+api.isDidKey = url => (
+  typeof url === 'string' && url.startsWith(DID_KEY_PREFIX));
+
+/**
+ * Resolves a did:key DID or DID URL offline. A DID resolves to a DID
+ * document that owns its single key and authorizes it for every proof
+ * purpose; a DID URL with a fragment resolves to that key.
+ *
+ * @param url the did:key DID or DID URL.
+ * @param options the options to use:
+ *          injector the injector to get libraries from.
+ *          [keyType] the key type to express the key as (a term as
+ *            compacted via the security-v2 context); defaults to the
+ *            usual key type for the key's curve.
+ *
+ * @return the JSON-LD DID document or key.
+ */
+api.resolve = (url, {injector, keyType}) => {
+  const [did, fragment] = url.split('#');
+  const fingerprint = did.substr(DID_KEY_PREFIX.length);
+  if(fragment !== undefined && fragment !== fingerprint) {
+    throw new errors.KeyNotFoundError(`Unknown did:key key "${url}".`);
+  }
+
+  const forge = injector.use('forge');
+  let decoded;
+  try {
+    decoded = util.decodeMultibase(fingerprint, {forge});
+  } catch(e) {
+    throw new errors.KeyNotFoundError(
+      `Invalid did:key "${did}"; ${e.message}`);
+  }
+  const header = decoded.substr(0, 2);
+  const keyInfo = KEY_TYPES.filter(info =>
+    keyEncoding.KEY_ALGORITHMS[info.keyAlgorithm].publicMulticodec ===
+    header)[0];
+  if(!keyInfo) {
+    throw new errors.KeyNotFoundError(
+      `Unsupported did:key "${did}"; unknown key type.`);
+  }
+  const publicKey = decoded.substr(2);
+  if(publicKey.length !== keyInfo.length) {
+    throw new errors.KeyNotFoundError(
+      `Invalid did:key "${did}"; invalid key length.`);
+  }
+
+  if(keyType === undefined) {
+    keyType = keyInfo.types[0];
+  }
+  if(keyInfo.types.indexOf(keyType) === -1) {
+    throw new errors.InvalidKeyError(
+      `The did:key "${did}" cannot be expressed as a "${keyType}".`);
+  }
+
+  const key = {
+    '@context': constants.SECURITY_CONTEXT,
+    id: did + '#' + fingerprint,
+    type: keyType,
+    owner: did
+  };
+  if(keyType === 'Ed25519VerificationKey2018') {
+    key.publicKeyBase58 = util.encodeBase58(publicKey, {forge});
+  } else if(keyType === 'Ed25519VerificationKey2020') {
+    key.publicKeyMultibase = fingerprint;
+  } else if(keyType === 'JsonWebKey2020') {
+    key.publicKeyJwk = keyEncoding.encodePublicKey(
+      {keyAlgorithm: keyInfo.keyAlgorithm, publicKey}, 'publicKeyJwk',
+      {injector});
+  } else {
+    key.publicKeyHex = forge.util.bytesToHex(publicKey);
+  }
+
+  if(fragment !== undefined) {
+    return key;
+  }
+
+  delete key['@context'];
+  return {
+    '@context': constants.SECURITY_CONTEXT,
+    id: did,
+    publicKey: [key],
+    assertionMethod: [key.id],
+    authentication: [key.id],
+    capabilityInvocation: [key.id]
+  };
+};
@@ -0,0 +1,80 @@
+/*
+ * Copyright (c) 2018 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const errors = require('./errors');
+const util = require('./util');
+
+const api = {};
+module.exports = api;
+
+const DID_WEB_PREFIX = 'did:web:';
+
+// the segments of a did:web DID: a host, with an optional percent-encoded
+// port, and path segments; no other percent-encoded or reserved characters
+// are allowed, so the DID cannot add userinfo, a query or a fragment to the
+// URL of its DID document
+const HOST = /^[A-Za-z0-9.-]+(%3[Aa][0-9]+)?$/;
+const PATH_SEGMENT = /^[A-Za-z0-9._~-]+$/;
+
+// DID document properties that may embed verification methods
+const VERIFICATION_METHOD_PROPERTIES = [
+  'verificationMethod', 'publicKey', 'assertionMethod', 'authentication',
+  'capabilityInvocation', 'capabilityDelegation', 'keyAgreement'
+];
+
+/**
+ * Returns whether or not the given URL is a did:web DID or DID URL.
+ *
+ * @param url the URL to check.
+ *
+ * @return true if the URL is a did:web, false if not.
+ */
+api.isDidWeb = url => (
+  typeof url === 'string' && url.startsWith(DID_WEB_PREFIX));
+
+/**
+ * Gets the HTTPS URL of the DID document for a did:web DID: the domain
+ * (with an optional percent-encoded port, e.g. `example.com%3A8443`)
+ * followed by `/.well-known/did.json`, or by the colon-separated path and
+ * `/did.json`.
+ *
+ * @param did the did:web DID.
+ *
+ * @return the URL of the DID document.
+ */
+api.getDidDocumentUrl = did => {
+  const [host, ...path] = did.substr(DID_WEB_PREFIX.length).split(':');
+  if(!HOST.test(host) || !path.every(segment =>
+    PATH_SEGMENT.test(segment) && segment !== '.' && segment !== '..')) {
+    throw new errors.KeyNotFoundError(`Invalid did:web "${did}".`);
+  }
+  return 'https://' + [host.replace(/%3A/i, ':')].concat(path).join('/') +
+    (path.length === 0 ? '/.well-known/did.json' : '/did.json');
+};
+
+/**
+ * Gets a verification method embedded in a DID document.
+ *
+ * @param didDocument the DID document.
+ * @param id the ID of the verification method, a DID URL with a fragment.
+ *
+ * @return the verification method, with the DID document's `@context`.
+ */
+api.getVerificationMethod = (didDocument, id) => {
+  const fragment = id.substr(id.indexOf('#'));
+  for(const property of VERIFICATION_METHOD_PROPERTIES) {
+    const values = [].concat(didDocument[property] || []);
+    for(const method of values) {
+      if(method && typeof method === 'object' &&
+        (method.id === id || method.id === fragment)) {
+        return Object.assign(
+          {'@context': didDocument['@context']},
+          util.deepClone(method), {id});
+      }
+    }
+  }
+  throw new errors.KeyNotFoundError(
+    `Verification method "${id}" not found in its DID document.`);
+};
@@ -0,0 +1,185 @@
+/*
+ * Copyright (c) 2018 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+/**
+ * The base class of the errors raised when a document cannot be signed or a
+ * proof cannot be verified. Each error has a stable, machine-readable `code`
+ * to branch on instead of its message. Invalid arguments are still reported
+ * via `TypeError`.
+ */
+class SignatureError extends Error {
+  /**
+   * Creates a new SignatureError.
+   *
+   * @param message the error message.
+   * @param [code] the error code (default: 'signature-error').
+   * @param [details] extra properties to set on the error, e.g. its `cause`.
+   */
+  constructor(message, code = 'signature-error', details = {}) {
+    // `name` stays 'Error' so `toString()` is unchanged for existing callers;
+    // use `instanceof` or `code` to tell errors apart
+    super(message);
+    this.code = code;
+    Object.assign(this, details);
+  }
+}
+
+class InvalidInputError extends SignatureError {
+  constructor(message, code = 'invalid-input', details = {}) {
+    super(message, code, details);
+  }
+}
+
+class UnsupportedAlgorithmError extends SignatureError {
+  constructor(message, code = 'unsupported-algorithm', details = {}) {
+    super(message, code, details);
+  }
+}
+
+class InvalidProofError extends SignatureError {
+  constructor(message, code = 'invalid-proof', details = {}) {
+    super(message, code, details);
+  }
+}
+
+class InvalidPreviousProofError extends InvalidProofError {
+  constructor(message, code = 'invalid-previous-proof', details = {}) {
+    super(message, code, details);
+  }
+}
+
+class InvalidNonceError extends SignatureError {
+  constructor(message, code = 'invalid-nonce', details = {}) {
+    super(message, code, details);
+  }
+}
+
+class InvalidDomainError extends SignatureError {
+  constructor(message, code = 'invalid-domain', details = {}) {
+    super(message, code, details);
+  }
+}
+
+class InvalidTimestampError extends SignatureError {
+  constructor(message, code = 'invalid-timestamp', details = {}) {
+    super(message, code, details);
+  }
+}
+
+class TimestampOutOfRangeError extends InvalidTimestampError {
+  constructor(message, code = 'timestamp-out-of-range', details = {}) {
+    super(message, code, details);
+  }
+}
+
+class ProofExpiredError extends SignatureError {
+  constructor(message, code = 'proof-expired', details = {}) {
+    super(message, code, details);
+  }
+}
+
+class ProofPurposeError extends SignatureError {
+  constructor(message, code = 'invalid-proof-purpose', details = {}) {
+    super(message, code, details);
+  }
+}
+
+class KeyNotFoundError extends SignatureError {
+  constructor(message, code = 'key-not-found', details = {}) {
+    super(message, code, details);
+  }
+}
+
+class KeyOwnerNotFoundError extends SignatureError {
+  constructor(message, code = 'key-owner-not-found', details = {}) {
+    super(message, code, details);
+  }
+}
+
+class KeyRevokedError extends SignatureError {
+  constructor(message, code = 'key-revoked', details = {}) {
+    super(message, code, details);
+  }
+}
+
+class KeyExpiredError extends SignatureError {
+  constructor(message, code = 'key-expired', details = {}) {
+    super(message, code, details);
+  }
+}
+
+class UntrustedKeyError extends SignatureError {
+  constructor(message, code = 'untrusted-key', details = {}) {
+    super(message, code, details);
+  }
+}
+
+class KeyNotAuthorizedError extends UntrustedKeyError {
+  constructor(message, code = 'key-not-authorized', details = {}) {
+    super(message, code, details);
+  }
+}
+
+class UntrustedOwnerError extends UntrustedKeyError {
+  constructor(message, code = 'untrusted-owner', details = {}) {
+    super(message, code, details);
+  }
+}
+
+class InvalidKeyError extends SignatureError {
+  constructor(message, code = 'invalid-key', details = {}) {
+    super(message, code, details);
+  }
+}
+
+class InvalidJwsHeaderError extends InvalidProofError {
+  constructor(message, code = 'invalid-jws-header', details = {}) {
+    super(message, code, details);
+  }
+}
+
+class InvalidSignatureError extends InvalidProofError {
+  constructor(message, code = 'invalid-signature', details = {}) {
+    super(message, code, details);
+  }
+}
+
+class DocumentNotSuppliedError extends SignatureError {
+  constructor(message, code = 'document-not-supplied', details = {}) {
+    super(message, code, details);
+  }
+}
+
+class ContextIntegrityError extends SignatureError {
+  constructor(message, code = 'context-digest-mismatch', details = {}) {
+    super(message, code, details);
+  }
+}
+
+module.exports = {
+  SignatureError,
+  InvalidInputError,
+  UnsupportedAlgorithmError,
+  InvalidProofError,
+  InvalidPreviousProofError,
+  InvalidNonceError,
+  InvalidDomainError,
+  InvalidTimestampError,
+  TimestampOutOfRangeError,
+  ProofExpiredError,
+  ProofPurposeError,
+  KeyNotFoundError,
+  KeyOwnerNotFoundError,
+  KeyRevokedError,
+  KeyExpiredError,
+  UntrustedKeyError,
+  KeyNotAuthorizedError,
+  UntrustedOwnerError,
+  InvalidKeyError,
+  InvalidJwsHeaderError,
+  InvalidSignatureError,
+  DocumentNotSuppliedError,
+  ContextIntegrityError
+};
@@ -41,15 +41,26 @@
 'use strict';
 
 const Injector = require('./Injector');
+const ProofChecks = require('./ProofChecks');
+const contextIntegrity = require('./contextIntegrity');
+const errors = require('./errors');
+const keyEncoding = require('./keyEncoding');
 const util = require('./util');
+const validityWindow = require('./validityWindow');
 
 // TODO: only require dynamically as needed or according to build
 const suites = {
   EcdsaKoblitzSignature2016: require('./suites/EcdsaKoblitzSignature2016'),
+  EcdsaSecp256k1Signature2019: require('./suites/EcdsaSecp256k1Signature2019'),
+  EcdsaSecp256r1Signature2019: require('./suites/EcdsaSecp256r1Signature2019'),
+  EcdsaSecp384r1Signature2019: require('./suites/EcdsaSecp384r1Signature2019'),
   Ed25519Signature2018: require('./suites/Ed25519Signature2018'),
+  Ed25519Signature2020: require('./suites/Ed25519Signature2020'),
   LinkedDataSignature: require('./suites/LinkedDataSignature'),
   LinkedDataSignature2015: require('./suites/LinkedDataSignature2015'),
   GraphSignature2012: require('./suites/GraphSignature2012'),
+  JsonWebSignature2020: require('./suites/JsonWebSignature2020'),
+  JwsLinkedDataSignature: require('./suites/JwsLinkedDataSignature'),
   RsaSignature2018: require('./suites/RsaSignature2018')
 };
 
@@ -78,20 +89,73 @@ Object.assign(api, constants);
 /* Core API */
 api.suites = suites;
 
+// proof purposes by term; add a `ProofPurpose` subclass to support another
+api.purposes = require('./purposes');
+api.ProofPurpose = require('./purposes/ProofPurpose');
+
+// key pair classes by key type; add a `KeyPair` subclass to support another
+api.keys = require('./keys');
+api.KeyPair = require('./keys/KeyPair');
+
+// error classes by name; each has a stable `code`
+api.errors = require('./errors');
+
+// caches documents loaded via the default document loader when set to a
+// `DocumentLoaderCache`, e.g.
+// `jsigs.documentLoaderCache = new jsigs.DocumentLoaderCache({ttl: 60000})`
+api.DocumentLoaderCache = require('./DocumentLoaderCache');
+api.documentLoaderCache = null;
+
+// digests (or arrays of digests) by URL that the documents loaded for those
+// URLs must match, by default those of the embedded contexts; see
+// `getContextDigest`
+api.contextDigests = Object.assign({}, contextIntegrity.PINNED_CONTEXTS);
+
+// contexts added to this instance via `addContext`, by URL
+const addedContexts = {};
+
 /**
  * Signs a JSON-LD document using a digital signature.
  *
  * @param input the JSON-LD document to be signed.
  * @param [options] options to use:
  *          algorithm the algorithm to use, eg: 'Ed25519Signature2018',
- *            'RsaSignature2018'.
+ *            'RsaSignature2018', 'EcdsaSecp256k1Signature2019',
+ *            'EcdsaSecp256r1Signature2019', 'EcdsaSecp384r1Signature2019',
+ *            'JsonWebSignature2020', 'Ed25519Signature2020'.
  *          [privateKeyPem] A PEM-encoded private key.
  *          [privateKeyBase58] A base85-encoded (Bitcoin/IPFS alphabet)
  *            private key.
+ *          [privateKeyHex] A hex-encoded elliptic curve private key.
+ *          [privateKeyJwk] A private key as a JWK (required by
+ *            'JsonWebSignature2020', which signs with any supported JWK).
+ *          [signer] an object to sign with instead of a private key, e.g.
+ *            one backed by an HSM or KMS, with:
+ *            sign({data}) an async function that signs the `data`
+ *              Uint8Array and resolves to the signature as a Uint8Array.
+ *            [id] the URL to the paired public key, used as the default
+ *              `creator`/`verificationMethod`.
+ *            [algorithm] the JWA name of the signature algorithm (e.g.
+ *              'EdDSA' or 'PS256'), checked against the suite.
  *          [creator] the URL to the paired public key.
- *          [date] an optional date to override the signature date with.
+ *          [verificationMethod] the URL to the paired public key; an
+ *            alternative to `creator` that, unless `proofKeyProperty` says
+ *            otherwise, is set as the proof's `verificationMethod`.
+ *          [proofKeyProperty] the proof property that identifies the key,
+ *            'creator' (default) or 'verificationMethod'.
+ *          [date] an optional date (a Date, a number of milliseconds since
+ *            the epoch or an ISO 8601 date and time) to override the
+ *            signature date with; it is set in W3C datetime format.
+ *          [now()] a function that returns the current time (as a Date, an
+ *            ISO 8601 date and time or a number of milliseconds since the
+ *            epoch) to use as the default signature date instead of the
+ *            system clock.
  *          [domain] an optional domain to include in the signature.
  *          [nonce] an optional nonce to include in the signature.
+ *          [expires] an optional date (a Date, a number of milliseconds
+ *            since the epoch or an ISO 8601 date and time) the proof
+ *            expires at, after which `verify` rejects it; it must be after
+ *            the date the proof is created.
  *          [expansionMap] a custom expansion map that is passed
  *            to the JSON-LD processor; by default a function that will
  *            throw an error when unmapped properties are detected in the
@@ -100,11 +164,45 @@ api.suites = suites;
  *          [proof] a JSON-LD document with options to use for the `proof`
  *            node (e.g. `proofPurpose` or any other custom fields can be
  *            provided here using a context different from security-v2).
+ *          [id] the ID (full URL) of a node embedded in the input to sign
+ *            in place instead of the top-level object; the node must be
+ *            identified via `id` or `@id` in the input.
+ *          [proofPurpose] the proof purpose (a term as compacted via the
+ *            security-v2 context, e.g. 'assertionMethod', 'authentication' or
+ *            'capabilityInvocation'); the key owner must authorize the key
+ *            for it.
+ *          [challenge] the challenge given by the verifier, required for an
+ *            'authentication' proof.
+ *          [capability] the URL of the invoked capability, required for a
+ *            'capabilityInvocation' proof.
+ *          [detached] true to return only the proof node, compacted to the
+ *            security context, instead of the signed document; the input is
+ *            not modified and the proof is verified via `verify`'s `proof`
+ *            option.
+ *          [chain] true to chain the new proof to the proofs already on
+ *            the input: the new proof covers them and lists their IDs in
+ *            `previousProof`, so each existing proof must have an `id` (which
+ *            can be set via the `proof` option when it is created).
  *          [documentLoader(url, [callback(err, remoteDoc)])] the document
- *            loader.
+ *            loader; the embedded contexts are loaded from memory instead.
+ *          [documentLoaderCache] the `DocumentLoaderCache` to cache documents
+ *            loaded via the default document loader in, or false to not
+ *            cache them (default: `documentLoaderCache`).
+ *          [documents] a map of URLs to the JSON-LD documents (contexts,
+ *            keys, key owners) to load them as, before the default document
+ *            loader is used.
+ *          [offline] true to never use the default document loader, so only
+ *            the embedded contexts and `documents` can be loaded; loading any
+ *            other URL fails with an error listing the missing URLs in its
+ *            `missingUrls`.
+ *          [contextDigests] a map of URLs to the digest (or an array of the
+ *            digests, or null to not check it) that the context (or other
+ *            document) loaded for each must have, in addition to
+ *            `contextDigests`; see `getContextDigest`.
  * @param callback(err, signedDocument) called once the operation completes.
  *
- * @return a Promise that resolves to the signed document.
+ * @return a Promise that resolves to the signed document (or the proof node
+ *           if `detached` is true).
  */
 api.sign = util.callbackify(async function(input, options) {
   options = options || {};
@@ -118,19 +216,35 @@ api.sign = util.callbackify(async function(input, options) {
 
   const algorithm = options.algorithm;
   if(SUPPORTED_ALGORITHMS.indexOf(algorithm) === -1) {
-    throw new Error(
+    throw new errors.UnsupportedAlgorithmError(
       'Unsupported algorithm "' + algorithm + '"; ' +
       '"options.algorithm" must be one of: ' +
       JSON.stringify(SUPPORTED_ALGORITHMS));
   }
 
+  if(options.date !== undefined &&
+    validityWindow.parseTime(options.date) === null) {
+    throw new TypeError('"options.date" must be a date.');
+  }
+  if('expires' in options &&
+    validityWindow.parseTime(options.expires) === null) {
+    throw new TypeError('"options.expires" must be a date.');
+  }
+  if('now' in options && typeof options.now !== 'function') {
+    throw new TypeError('"options.now" must be a function.');
+  }
+
   options = _addEmbeddedContextDocumentLoader(options);
 
   // TODO: won't work with static analysis?
   // use signature suite
   //const Suite = require('./suites/' + algorithm);
   const Suite = suites[algorithm];
-  return new Suite(injector).sign(input, options);
+  try {
+    return await new Suite(injector).sign(input, options);
+  } catch(e) {
+    throw _getOfflineError(options, e);
+  }
 });
 
 /**
@@ -155,16 +269,102 @@ api.sign = util.callbackify(async function(input, options) {
  *            check if the key used to sign the message is trusted.
  *          [checkKeyOwner(owner, key, options, function(err, trusted))] a
  *            callback to check if the key's owner is trusted.
- *          [checkTimestamp]: check signature timestamp (default: false).
+ *          [verifier(key, options, [(err, verifier)])] a function that
+ *            creates a verifier for a resolved public key document, e.g. one
+ *            backed by an HSM or an audited crypto module, instead of the
+ *            suite's built-in crypto. It returns a Promise that resolves to
+ *            (or accepts a node-style callback that will be passed) an object
+ *            with an async `verify({data, signature})` function that takes
+ *            Uint8Arrays and resolves to true if the signature is valid.
+ *          [checkTimestamp(created, options, function(err, valid))] a
+ *            callback to check the proof's `created` date (a Date, parsed
+ *            from a valid ISO 8601 date and time) or `false` to not check it
+ *            (default: a check that it is within the window given by the
+ *            options below).
  *          [maxTimestampDelta]: signature must be created within a window of
  *            this many seconds (default: 15 minutes).
+ *          [maxTimestampPastDelta]: the number of seconds a signature may
+ *            have been created in the past (default: `maxTimestampDelta`).
+ *          [maxTimestampFutureDelta]: the number of seconds a signature may
+ *            have been created in the future, to allow for clock skew
+ *            (default: `maxTimestampDelta`).
+ *          [allowLongLivedProofs] true to accept a proof that `expires` no
+ *            matter how long ago it was created, as long as it has not
+ *            expired, e.g. for long-lived credentials (default: false).
+ *          [revocationPolicy] how to treat proofs made with a key that has
+ *            been `revoked`: 'reject' to reject them all (default), 'created'
+ *            to accept those `created` before the key was revoked or
+ *            'trustedTimestamp' to accept those whose `trustedTimestamp` is
+ *            before the key was revoked.
+ *          [trustedTimestamp] the time a proof is known to have existed at,
+ *            e.g. from a timestamping authority, as a Date, an ISO 8601 date
+ *            and time or a number of milliseconds since the epoch, or a
+ *            function (proof, options, [(err, timestamp)]) that returns
+ *            a Promise that resolves to one (or that accepts a node-style
+ *            callback that will be passed it).
+ *          [keyExpirationPolicy] how to treat proofs made with a key that
+ *            `expires`: 'verification' to reject them once the key has
+ *            expired (default) or 'created' to reject only those `created`
+ *            after the key expired. Proofs that have expired themselves are
+ *            always rejected.
+ *          [now()] a function that returns the current time (as a Date, an
+ *            ISO 8601 date and time or a number of milliseconds since the
+ *            epoch) that the timestamp window, proof and key expiration and
+ *            key revocation are checked against instead of the system clock.
+ *          [verifyAt] the date (a Date, an ISO 8601 date and time or a
+ *            number of milliseconds since the epoch) to verify as of, e.g.
+ *            the date an archived document was archived at; it is used as
+ *            the current time (so it cannot be combined with `now`), so keys
+ *            revoked or expired only after it are accepted.
  *          [documentLoader(url, [callback(err, remoteDoc)])] the document
- *            loader.
+ *            loader; the embedded contexts are loaded from memory instead.
+ *          [documentLoaderCache] the `DocumentLoaderCache` to cache documents
+ *            loaded via the default document loader in, or false to not
+ *            cache them (default: `documentLoaderCache`).
+ *          [documents] a map of URLs to the JSON-LD documents (contexts,
+ *            keys, key owners) to load them as, before the default document
+ *            loader is used.
+ *          [offline] true to never use the default document loader, so only
+ *            the embedded contexts and `documents` can be loaded; loading any
+ *            other URL fails with an error listing the missing URLs in its
+ *            `missingUrls`.
+ *          [contextDigests] a map of URLs to the digest (or an array of the
+ *            digests, or null to not check it) that the context (or other
+ *            document) loaded for each must have, in addition to
+ *            `contextDigests`; see `getContextDigest`.
+ *          [expectedProofPurpose] the proof purpose (a term as compacted via
+ *            the security-v2 context) that proofs must have been made for;
+ *            proofs for other purposes are rejected.
+ *          [challenge] the expected challenge for 'authentication' proofs.
+ *          [capability] the expected capability for 'capabilityInvocation'
+ *            proofs.
+ *          [proof] a detached proof (as created via `sign` with
+ *            `detached: true`) to verify against the unmodified input instead
+ *            of the proofs attached to it.
  *          [id] the ID (full URL) of the node to check the signature of, if
- *            the input contains multiple signed nodes.
+ *            the input contains multiple signed nodes; it may be the
+ *            top-level object or any node embedded in it.
+ *
+ * Proofs with a `previousProof` are chained proofs; they are verified over the
+ * document and the proofs they reference, and only after those proofs have
+ * been verified.
  * @param [callback(err, result)] called once the operation completes.
  *
- * @return a Promise that resolves to the verification result.
+ * @return a Promise that resolves to the verification result: `{verified,
+ *           keyResults}` with a result per proof that has `verified`,
+ *           `error` (if it failed; usually one of `errors`, which have a
+ *           stable `code`), `publicKey` (the key ID), the resolved
+ *           `publicKeyDocument` and `controllerDocument`, the
+ *           `revocationPolicy` and `keyExpirationPolicy` applied to the key
+ *           (if they were reached) and `checks`, which lists every check made
+ *           in order ('algorithm', 'previousProofs', 'nonce', 'domain',
+ *           'timestamp', 'expiration', 'proofPurpose', 'keyRetrieval',
+ *           'revocation', 'keyExpiration', 'ownership', 'keyValidation',
+ *           'signature') as `{name, status, code, error}`. `status` is
+ *           'passed' (`code` 'ok', or 'signed-before-revocation' for a key
+ *           revoked after the proof was made), 'failed' (`code` says why,
+ *           e.g. 'key-revoked') or 'skipped' (`code` 'disabled',
+ *           'not-applicable' or 'not-reached').
  */
 api.verify = util.callbackify(async function(input, options) {
   // set default options
@@ -190,6 +390,69 @@ api.verify = util.callbackify(async function(input, options) {
     throw new TypeError(
       '"options.checkTimestamp" must be `false` or a function.');
   }
+  ['maxTimestampDelta', 'maxTimestampPastDelta', 'maxTimestampFutureDelta']
+    .forEach(name => {
+      if(name in options &&
+        !(typeof options[name] === 'number' && options[name] >= 0)) {
+        throw new TypeError(
+          `"options.${name}" must be a non-negative number.`);
+      }
+    });
+  if('allowLongLivedProofs' in options &&
+    typeof options.allowLongLivedProofs !== 'boolean') {
+    throw new TypeError('"options.allowLongLivedProofs" must be a boolean.');
+  }
+  if('verifier' in options && typeof options.verifier !== 'function') {
+    throw new TypeError('"options.verifier" must be a function.');
+  }
+  if('expectedProofPurpose' in options &&
+    typeof options.expectedProofPurpose !== 'string') {
+    throw new TypeError('"options.expectedProofPurpose" must be a string.');
+  }
+  if('proof' in options &&
+    !(options.proof && typeof options.proof === 'object')) {
+    throw new TypeError('"options.proof" must be an object.');
+  }
+  const REVOCATION_POLICIES = ['reject', 'created', 'trustedTimestamp'];
+  if('revocationPolicy' in options &&
+    REVOCATION_POLICIES.indexOf(options.revocationPolicy) === -1) {
+    throw new TypeError(
+      '"options.revocationPolicy" must be one of: ' +
+      JSON.stringify(REVOCATION_POLICIES));
+  }
+  if('trustedTimestamp' in options &&
+    !(typeof options.trustedTimestamp === 'function' ||
+    validityWindow.parseTime(options.trustedTimestamp) !== null)) {
+    throw new TypeError(
+      '"options.trustedTimestamp" must be a date or a function.');
+  }
+  if(options.revocationPolicy === 'trustedTimestamp' &&
+    options.trustedTimestamp === undefined) {
+    throw new TypeError(
+      '"options.trustedTimestamp" is required for the "trustedTimestamp" ' +
+      'revocation policy.');
+  }
+  if('now' in options && typeof options.now !== 'function') {
+    throw new TypeError('"options.now" must be a function.');
+  }
+  if('verifyAt' in options) {
+    if('now' in options) {
+      throw new TypeError(
+        '"options.verifyAt" and "options.now" must not both be given.');
+    }
+    const time = validityWindow.parseTime(options.verifyAt);
+    if(time === null) {
+      throw new TypeError('"options.verifyAt" must be a date.');
+    }
+    options.now = () => time;
+  }
+  const KEY_EXPIRATION_POLICIES = ['verification', 'created'];
+  if('keyExpirationPolicy' in options &&
+    KEY_EXPIRATION_POLICIES.indexOf(options.keyExpirationPolicy) === -1) {
+    throw new TypeError(
+      '"options.keyExpirationPolicy" must be one of: ' +
+      JSON.stringify(KEY_EXPIRATION_POLICIES));
+  }
 
   // backwards compatibility, massage `getPublicKey` and `getPublicKeyOwner`
   // options into `publicKey` and `publicKeyOwner`
@@ -209,7 +472,7 @@ api.verify = util.callbackify(async function(input, options) {
   //    should require the signature to be at the top?
   /*
   const frame = {
-    '@context': constants.SECURITY_CONTEXT_URL,
+    '@context': constants.SECURITY_CONTEXT,
     proof: {},
     signature: {
       type: algorithm,
@@ -228,52 +491,152 @@ api.verify = util.callbackify(async function(input, options) {
   if(options.documentLoader) {
     opts.documentLoader = options.documentLoader;
   }
-  const framed = await jsonld.compact(
-    input, constants.SECURITY_CONTEXT_URL, opts);
+  let framed;
+  try {
+    framed = await jsonld.compact(input, constants.SECURITY_CONTEXT, opts);
+  } catch(e) {
+    throw _getOfflineError(options, e);
+  }
 
-  // ensure there is at least one `proof` or `signature`
-  const proofs = jsonld.getValues(framed, 'signature')
-    .map(doc => ({property: 'signature', doc}))
-    .concat(jsonld.getValues(framed, 'proof')
-      .map(doc => ({property: 'proof', doc})));
-  if(proofs.length === 0) {
-    throw new Error('No signature found.');
+  // verify the proofs on an embedded node instead of the top-level object
+  if(options.id !== undefined) {
+    const node = util.findNode(framed, options.id);
+    if(!node) {
+      throw new errors.InvalidInputError(
+        `The node "${options.id}" was not found in the input.`);
+    }
+    framed = Object.assign(
+      {}, node, {'@context': constants.SECURITY_CONTEXT});
   }
 
-  // TODO: this only works for set signatures; add support for chained
-  // signatures
+  let proofs;
+  if(options.proof !== undefined) {
+    // verify a detached proof against the unmodified document
+    let doc;
+    try {
+      doc = await jsonld.compact(
+        options.proof, constants.SECURITY_CONTEXT, opts);
+    } catch(e) {
+      throw _getOfflineError(options, e);
+    }
+    delete doc['@context'];
+    delete options.proof;
+    // older suites express their proof via `signature`
+    const Suite = suites[jsonld.getValues(doc, 'type')[0]];
+    const property = (Suite && (Suite === suites.LinkedDataSignature2015 ||
+      Suite.prototype instanceof suites.LinkedDataSignature2015)) ?
+      'signature' : 'proof';
+    proofs = [{property, doc}];
+  } else {
+    // ensure there is at least one `proof` or `signature`
+    proofs = jsonld.getValues(framed, 'signature')
+      .map(doc => ({property: 'signature', doc}))
+      .concat(jsonld.getValues(framed, 'proof')
+        .map(doc => ({property: 'proof', doc})));
+    if(proofs.length === 0) {
+      throw new errors.InvalidProofError(
+        'No signature found.', 'proof-not-found');
+    }
+  }
 
-  // create a promise for each signature to be verified
+  // verify each proof; a chained proof (one with `previousProof`) is only
+  // verified once the proofs it was created over have been verified
   const SUPPORTED_ALGORITHMS = _getSupportedAlgorithms();
-  const results = await Promise.all(proofs.map(proof => (async () => {
+  const verifications = new Map();
+  const getPreviousProofs = proof => jsonld.getValues(
+    proof.doc, 'previousProof').map(id => proofs.filter(p => p.doc.id === id));
+  const hasCycle = (proof, chain) => (
+    chain.indexOf(proof) !== -1 ||
+    getPreviousProofs(proof).some(previous => previous.some(
+      p => hasCycle(p, chain.concat(proof)))));
+  const verifyProof = proof => {
+    if(!verifications.has(proof)) {
+      const {checks} = proof;
+      verifications.set(proof, (async () => {
+        const algorithm = jsonld.getValues(proof.doc, 'type')[0] || '';
+        await checks.run('algorithm', () => {
+          if(SUPPORTED_ALGORITHMS.indexOf(algorithm) === -1) {
+            throw new errors.UnsupportedAlgorithmError(
+              'Unsupported signature algorithm "' + algorithm +
+              '"; ' + 'supported algorithms are: ' +
+              JSON.stringify(SUPPORTED_ALGORITHMS));
+          }
+          return true;
+        });
+
+        // verify the previous proofs in the chain first
+        const ids = jsonld.getValues(proof.doc, 'previousProof');
+        if(ids.length === 0) {
+          checks.skip('previousProofs', 'not-applicable');
+        } else {
+          await checks.run('previousProofs', async () => {
+            if(hasCycle(proof, [])) {
+              throw new errors.InvalidPreviousProofError(
+                'The proof chain contains a cycle.');
+            }
+            const previousProofs = getPreviousProofs(proof);
+            for(let i = 0; i < ids.length; ++i) {
+              const id = ids[i];
+              if(previousProofs[i].length !== 1) {
+                throw new errors.InvalidPreviousProofError(
+                  `Previous proof "${id}" not found.`);
+              }
+              let verified;
+              try {
+                verified = await verifyProof(previousProofs[i][0]);
+              } catch(e) {
+                verified = false;
+              }
+              if(!verified) {
+                throw new errors.InvalidPreviousProofError(
+                  `Previous proof "${id}" could not be verified.`);
+              }
+            }
+            return true;
+          });
+        }
+
+        // copy the framed object and place a single signature on each copy
+        const f = util.deepClone(framed);
+        f[proof.property] = util.deepClone(proof.doc);
+        // TODO: won't work with static analysis?
+        // use signature suite
+        //const Suite = require('./suites/' + algorithm);
+        const Suite = suites[algorithm];
+        return new Suite(injector).verify(
+          f, Object.assign({}, options, {framed, checks}));
+      })());
+    }
+    return verifications.get(proof);
+  };
+  proofs.forEach(proof => proof.checks = new ProofChecks());
+  const results = await Promise.all(proofs.map(async proof => {
     try {
-      const algorithm = jsonld.getValues(proof.doc, 'type')[0] || '';
-      if(SUPPORTED_ALGORITHMS.indexOf(algorithm) === -1) {
-        throw new Error(
-          'Unsupported signature algorithm "' + algorithm +
-          '"; ' + 'supported algorithms are: ' +
-          JSON.stringify(SUPPORTED_ALGORITHMS));
-      }
-
-      // copy the framed object and place a single signature on each copy
-      const f = util.deepClone(framed);
-      f[proof.property] = proof.doc;
-      // TODO: won't work with static analysis?
-      // use signature suite
-      //const Suite = require('./suites/' + algorithm);
-      const Suite = suites[algorithm];
-      const verified = await new Suite(injector).verify(
-        f, Object.assign({}, options, {framed}));
-      return {verified};
+      return {verified: await verifyProof(proof)};
     } catch(e) {
-      return {verified: false, error: e};
+      return {verified: false, error: _getOfflineError(options, e)};
     }
-  })()));
+  }));
 
-  // ensure results include public key identifiers
+  // ensure results include public key identifiers and report each check
   results.forEach((result, i) => {
-    if(proofs[i].doc.creator) {
-      result.publicKey = proofs[i].doc.creator;
+    const {doc, checks} = proofs[i];
+    const {creator, verificationMethod} = doc;
+    if(verificationMethod || creator) {
+      result.publicKey = verificationMethod || creator;
+    }
+    result.checks = checks.checks;
+    if(checks.publicKeyDocument !== undefined) {
+      result.publicKeyDocument = checks.publicKeyDocument;
+    }
+    if(checks.controllerDocument !== undefined) {
+      result.controllerDocument = checks.controllerDocument;
+    }
+    if(checks.revocationPolicy !== undefined) {
+      result.revocationPolicy = checks.revocationPolicy;
+    }
+    if(checks.keyExpirationPolicy !== undefined) {
+      result.keyExpirationPolicy = checks.keyExpirationPolicy;
     }
   });
 
@@ -283,30 +646,238 @@ api.verify = util.callbackify(async function(input, options) {
   };
 });
 
+/**
+ * Generates a new key pair.
+ *
+ * @param options options to use:
+ *          type the key type, eg: 'Ed25519VerificationKey2018',
+ *            'RsaVerificationKey2018', 'EcdsaSecp256k1VerificationKey2019',
+ *            'EcdsaSecp256r1VerificationKey2019'.
+ *          [id] the ID (URL) of the public key.
+ *          [controller] the ID (URL) of the key's controller (owner).
+ *          [seed] a 32 byte seed to derive an Ed25519 key pair from.
+ *          [bits] the size of an RSA modulus in bits (default: 2048).
+ * @param callback(err, keyPair) called once the operation completes.
+ *
+ * @return a Promise that resolves to the `KeyPair`.
+ */
+api.generateKeyPair = util.callbackify(async function(options) {
+  options = options || {};
+  return _getKeyPairClass(options.type).generate(injector, options);
+});
+
+/**
+ * Creates a key pair from a key document, e.g. one exported via a key
+ * pair's `exportPublicKey`, optionally merged with the private key material
+ * exported via its `exportPrivateKey`.
+ *
+ * @param keyData the key document; its `type` selects the key pair class.
+ * @param [options] the options to use:
+ *          [passphrase] the passphrase to decrypt an `encryptedPrivateKey`
+ *            with.
+ * @param callback(err, keyPair) called once the operation completes.
+ *
+ * @return a Promise that resolves to the `KeyPair`.
+ */
+api.importKeyPair = util.callbackify(async function(keyData, options) {
+  if(!(keyData && typeof keyData === 'object')) {
+    throw new TypeError('"keyData" must be an object.');
+  }
+  const types = [].concat(keyData.type);
+  const type = types.filter(type => api.keys.hasOwnProperty(type))[0];
+  return _getKeyPairClass(type || types[0]).from(
+    injector, keyData, options || {});
+});
+
+/**
+ * Converts the public key in a key document to another encoding, e.g. from
+ * `publicKeyJwk` to `publicKeyPem`. Ed25519, secp256k1, P-256, P-384 and RSA
+ * keys can be converted between PEM (SPKI), JWK, multibase (multicodec),
+ * base58 and hex encodings.
+ *
+ * @param key the key document.
+ * @param encoding the encoding to convert to, e.g. 'publicKeyPem'.
+ * @param [options] the options to use:
+ *          [keyAlgorithm] the key algorithm ('ed25519', 'secp256k1',
+ *            'p256', 'p384' or 'rsa'), required to decode base58 and hex
+ *            keys other than Ed25519 keys.
+ *
+ * @return the encoded public key or undefined if the key document has no
+ *           public key in a supported encoding.
+ */
+api.convertPublicKey = (key, encoding, options) =>
+  keyEncoding.convertPublicKey(
+    key, encoding, Object.assign({}, options, {injector}));
+
+/**
+ * Converts the private key in a key document or signing options to another
+ * encoding, e.g. from `privateKeyJwk` to `privateKeyPem` (PKCS #8).
+ *
+ * @param keyData the key document or signing options.
+ * @param encoding the encoding to convert to, e.g. 'privateKeyPem'.
+ * @param [options] the options to use:
+ *          [keyAlgorithm] the key algorithm, see `convertPublicKey`.
+ *
+ * @return the encoded private key or undefined if there is no private key
+ *           in a supported encoding.
+ */
+api.convertPrivateKey = (keyData, encoding, options) =>
+  keyEncoding.convertPrivateKey(
+    keyData, encoding, Object.assign({}, options, {injector}));
+
+/**
+ * Computes the digest to pin a context (or other JSON-LD document) to via
+ * `contextDigests`: the base64-encoded SHA-256 hash of its JSON with sorted
+ * keys, prefixed with `sha256-`.
+ *
+ * @param document the context document, e.g. `{'@context': {...}}`.
+ *
+ * @return the digest.
+ */
+api.getContextDigest = document =>
+  contextIntegrity.digest(document, {forge: injector.use('forge')});
+
+/**
+ * Adds a static context (or other JSON-LD document) to the ones embedded in
+ * this library, so this instance's `sign` and `verify` load it from memory.
+ * The context is also pinned via `contextDigests`. The embedded contexts
+ * cannot be replaced.
+ *
+ * @param url the URL of the context.
+ * @param document the context document, e.g. `{'@context': {...}}`.
+ */
+api.addContext = (url, document) => {
+  if(typeof url !== 'string') {
+    throw new TypeError('"url" must be a string.');
+  }
+  if(contexts.hasOwnProperty(url)) {
+    throw new TypeError(
+      'The context "' + url + '" is embedded and cannot be replaced.');
+  }
+  if(!(document && typeof document === 'object')) {
+    throw new TypeError('"document" must be an object.');
+  }
+  addedContexts[url] = util.deepClone(document);
+  api.contextDigests[url] = api.getContextDigest(document);
+};
+
+function _getKeyPairClass(type) {
+  if(!(typeof type === 'string' && api.keys.hasOwnProperty(type))) {
+    throw new Error(
+      'Unsupported key type "' + type + '"; key type must be one of: ' +
+      JSON.stringify(Object.keys(api.keys)));
+  }
+  return api.keys[type];
+}
+
 function _getSupportedAlgorithms() {
-  // every suite is supported except the base class
-  return Object.keys(api.suites).filter(s => s !== 'LinkedDataSignature');
+  // every suite is supported except the base classes
+  return Object.keys(api.suites).filter(s => (
+    s !== 'LinkedDataSignature' && s !== 'JwsLinkedDataSignature'));
 }
 
 function _addEmbeddedContextDocumentLoader(options) {
   options = Object.assign({}, options);
-  if(!options.documentLoader) {
-    const jsonld = injector.use('jsonld');
-    const documentLoader = jsonld.documentLoader;
-    options.documentLoader = async url => {
-      if(url in contexts) {
+  if('documents' in options &&
+    !(options.documents && typeof options.documents === 'object')) {
+    throw new TypeError('"options.documents" must be an object.');
+  }
+  if(options.documentLoader && (options.documents || options.offline)) {
+    throw new TypeError(
+      '"options.documentLoader" cannot be used with "options.documents" or ' +
+      '"options.offline".');
+  }
+  if('contextDigests' in options &&
+    !(options.contextDigests && typeof options.contextDigests === 'object')) {
+    throw new TypeError('"options.contextDigests" must be an object.');
+  }
+  const forge = injector.use('forge');
+  const digests = Object.assign(
+    {}, api.contextDigests, options.contextDigests);
+  let documentLoader;
+  let missingUrls;
+  if(options.documentLoader) {
+    documentLoader = options.documentLoader;
+  } else {
+    const documents = options.documents || {};
+    if(options.offline) {
+      // record every URL that could not be loaded so the error for the
+      // whole operation can list them
+      missingUrls = [];
+      documentLoader = async url => {
+        if(missingUrls.indexOf(url) === -1) {
+          missingUrls.push(url);
+        }
+        throw _createOfflineError(missingUrls);
+      };
+    } else {
+      const jsonld = injector.use('jsonld');
+      documentLoader = jsonld.documentLoader;
+      const cache = ('documentLoaderCache' in options) ?
+        options.documentLoaderCache : api.documentLoaderCache;
+      if(cache) {
+        documentLoader = cache.wrap(documentLoader);
+      }
+    }
+    const loadDocument = documentLoader;
+    documentLoader = async url => {
+      if(documents.hasOwnProperty(url)) {
         return {
           contextUrl: null,
           documentUrl: url,
-          document: contexts[url]
+          document: util.deepClone(documents[url])
         };
       }
-      return documentLoader(url);
+      return loadDocument(url);
     };
   }
+  // embedded and added contexts are served first, even before a custom
+  // document loader, and are pinned already; check everything else
+  const checkedLoader = contextIntegrity.wrap(documentLoader, digests, {forge});
+  options.documentLoader = async url => {
+    if(contexts.hasOwnProperty(url)) {
+      return {
+        contextUrl: null,
+        documentUrl: url,
+        document: contexts[url]
+      };
+    }
+    if(addedContexts.hasOwnProperty(url)) {
+      return {
+        contextUrl: null,
+        documentUrl: url,
+        document: addedContexts[url]
+      };
+    }
+    return checkedLoader(url);
+  };
+  if(missingUrls) {
+    options.documentLoader.missingUrls = missingUrls;
+  }
   return options;
 }
 
+// gets the error to report for a failed operation: if it ran offline and
+// documents were missing, an error listing all of them (jsonld only reports
+// a document loader's error as the cause of its own), else the error itself
+function _getOfflineError(options, error) {
+  const missingUrls = options.documentLoader.missingUrls;
+  if(!(missingUrls && missingUrls.length > 0)) {
+    return error;
+  }
+  return _createOfflineError(missingUrls, error);
+}
+
+function _createOfflineError(missingUrls, cause) {
+  const details = {missingUrls: missingUrls.slice()};
+  if(cause) {
+    details.cause = cause;
+  }
+  return new errors.DocumentNotSuppliedError(
+    'Offline mode: no document was supplied for these URLs: ' +
+    missingUrls.join(', ') + '.', undefined, details);
+}
+
 /* Helper functions */
 const Helper = require('./Helper');
 const helper = new Helper(injector);
@@ -0,0 +1,738 @@
+/*
+ * Copyright (c) 2018 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const errors = require('./errors');
+const util = require('./util');
+
+const api = {};
+module.exports = api;
+
+// public and private key encodings by the key document (or signing option)
+// property that holds them, in the order they are looked for
+api.PUBLIC_KEY_ENCODINGS = [
+  'publicKeyPem', 'publicKeyJwk', 'publicKeyMultibase', 'publicKeyBase58',
+  'publicKeyHex', 'publicKeyWif'
+];
+api.PRIVATE_KEY_ENCODINGS = [
+  'privateKeyPem', 'privateKeyJwk', 'privateKeyMultibase',
+  'privateKeyBase58', 'privateKeyHex', 'privateKeyWif'
+];
+
+// supported key algorithms (EC curves are named as in `elliptic`) with
+// their multicodec headers (varints), ASN.1 OIDs and JWK parameters
+api.KEY_ALGORITHMS = {
+  ed25519: {
+    publicMulticodec: '\xed\x01',
+    privateMulticodec: '\x80\x26',
+    oid: '1.3.101.112',
+    jwkCurve: 'Ed25519'
+  },
+  secp256k1: {
+    publicMulticodec: '\xe7\x01',
+    privateMulticodec: '\x81\x26',
+    oid: '1.3.132.0.10',
+    jwkCurve: 'secp256k1',
+    size: 32
+  },
+  p256: {
+    publicMulticodec: '\x80\x24',
+    privateMulticodec: '\x86\x26',
+    oid: '1.2.840.10045.3.1.7',
+    jwkCurve: 'P-256',
+    size: 32
+  },
+  p384: {
+    publicMulticodec: '\x81\x24',
+    privateMulticodec: '\x87\x26',
+    oid: '1.3.132.0.34',
+    jwkCurve: 'P-384',
+    size: 48
+  },
+  rsa: {
+    publicMulticodec: '\x85\x24',
+    privateMulticodec: '\x85\x26',
+    oid: '1.2.840.113549.1.1.1'
+  }
+};
+const EC_PUBLIC_KEY_OID = '1.2.840.10045.2.1';
+
+const _curves = {};
+
+/**
+ * Gets the `elliptic` curve for an EC key algorithm. Curves are expensive to
+ * create, so each one is created once and shared.
+ *
+ * @param keyAlgorithm the key algorithm: 'secp256k1', 'p256' or 'p384'.
+ * @param options the options to use:
+ *          injector the injector to get libraries from.
+ *
+ * @return the curve.
+ */
+api.getCurve = (keyAlgorithm, {injector}) => {
+  if(!_curves[keyAlgorithm]) {
+    const elliptic = injector.use('elliptic');
+    _curves[keyAlgorithm] = new elliptic.ec(keyAlgorithm);
+  }
+  return _curves[keyAlgorithm];
+};
+
+/**
+ * Decodes a public key from a key document, using the first encoding in
+ * `PUBLIC_KEY_ENCODINGS` it has (except `publicKeyWif`, which is a hash of
+ * the key).
+ *
+ * Keys are decoded to raw binary strings: 32 bytes for Ed25519, the
+ * compressed point for EC keys and the PKCS #1 DER encoding for RSA.
+ *
+ * @param key the key document.
+ * @param options the options to use:
+ *          injector the injector to get libraries from.
+ *          [keyAlgorithm] the key algorithm ('ed25519', 'secp256k1',
+ *            'p256', 'p384' or 'rsa'); required to decode hex and base58
+ *            keys other than 32 byte Ed25519 keys, and checked against the
+ *            key if given.
+ *
+ * @return `{keyAlgorithm, publicKey}` or null if the key has no supported
+ *           encoding; an `InvalidKeyError` is thrown if the key is invalid
+ *           (e.g. an EC point of the wrong size or not on the curve) and
+ *           an `UnsupportedAlgorithmError` if its key algorithm is not
+ *           supported.
+ */
+api.decodePublicKey = (key, {injector, keyAlgorithm}) => {
+  const encoding = api.PUBLIC_KEY_ENCODINGS.filter(
+    encoding => encoding !== 'publicKeyWif' && key[encoding] !== undefined)[0];
+  if(!encoding) {
+    return null;
+  }
+  const forge = injector.use('forge');
+  const value = key[encoding];
+  let decoded;
+  if(encoding === 'publicKeyPem') {
+    decoded = _decodePublicKeyPem(value, forge);
+  } else if(encoding === 'publicKeyJwk') {
+    decoded = _decodePublicKeyJwk(value, forge);
+  } else if(encoding === 'publicKeyMultibase') {
+    const multicodec = _decodeMulticodec(
+      _decode(value, util.decodeMultibase, forge), 'publicMulticodec');
+    decoded = {
+      keyAlgorithm: multicodec.keyAlgorithm,
+      publicKey: multicodec.bytes
+    };
+  } else {
+    const bytes = encoding === 'publicKeyBase58' ?
+      _decode(value, util.decodeBase58, forge) : _decodeHex(value, forge);
+    decoded = {
+      keyAlgorithm: _guessKeyAlgorithm(bytes, keyAlgorithm),
+      publicKey: bytes
+    };
+  }
+  _checkKeyAlgorithm(decoded, keyAlgorithm);
+  if(api.KEY_ALGORITHMS[decoded.keyAlgorithm].size) {
+    decoded.publicKey = _compressPoint(
+      decoded.keyAlgorithm, decoded.publicKey, injector);
+  }
+  _checkPublicKey(decoded);
+  return decoded;
+};
+
+/**
+ * Encodes a public key decoded via `decodePublicKey`.
+ *
+ * @param decoded the decoded key: `{keyAlgorithm, publicKey}`.
+ * @param encoding the encoding, one of `PUBLIC_KEY_ENCODINGS`; PEM keys are
+ *          encoded as SPKI and `publicKeyWif` (a Bitcoin address) is only
+ *          supported for secp256k1 keys and requires `bitcoreMessage`.
+ * @param options the options to use:
+ *          injector the injector to get libraries from.
+ *
+ * @return the encoded public key.
+ */
+api.encodePublicKey = ({keyAlgorithm, publicKey}, encoding, {injector}) => {
+  const forge = injector.use('forge');
+  const info = _getKeyAlgorithm(keyAlgorithm);
+  if(encoding === 'publicKeyPem') {
+    if(keyAlgorithm === 'rsa') {
+      return forge.pki.publicKeyToPem(_rsaPublicKeyFromDer(publicKey, forge));
+    }
+    let bitString = publicKey;
+    const algorithm = [];
+    if(keyAlgorithm === 'ed25519') {
+      algorithm.push(_oid(info.oid, forge));
+    } else {
+      algorithm.push(_oid(EC_PUBLIC_KEY_OID, forge), _oid(info.oid, forge));
+      bitString = _decompressPoint(keyAlgorithm, publicKey, injector);
+    }
+    const asn1 = forge.asn1;
+    return _encodePem('PUBLIC KEY', asn1.create(
+      asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+        asn1.create(
+          asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, algorithm),
+        asn1.create(
+          asn1.Class.UNIVERSAL, asn1.Type.BITSTRING, false,
+          '\x00' + bitString)
+      ]), forge);
+  }
+  if(encoding === 'publicKeyJwk') {
+    return _encodeJwk({keyAlgorithm, publicKey}, {injector, forge});
+  }
+  if(encoding === 'publicKeyMultibase') {
+    return util.encodeMultibase(info.publicMulticodec + publicKey, {forge});
+  }
+  if(encoding === 'publicKeyBase58') {
+    return util.encodeBase58(publicKey, {forge});
+  }
+  if(encoding === 'publicKeyHex') {
+    return forge.util.bytesToHex(publicKey);
+  }
+  if(encoding === 'publicKeyWif') {
+    if(keyAlgorithm !== 'secp256k1') {
+      throw new Error('Only secp256k1 keys can be encoded as "publicKeyWif".');
+    }
+    const bitcore = injector.use('bitcoreMessage').Bitcore;
+    return bitcore.PublicKey(forge.util.bytesToHex(publicKey))
+      .toAddress().toString();
+  }
+  throw new Error(`Unsupported public key encoding "${encoding}".`);
+};
+
+/**
+ * Decodes a private key from a key document or signing options, using the
+ * first encoding in `PRIVATE_KEY_ENCODINGS` it has.
+ *
+ * Keys are decoded to raw binary strings: the 64 byte NaCl-style key (the
+ * seed followed by the public key) for Ed25519, the private scalar for EC
+ * keys and the PKCS #1 DER encoding for RSA. The public key is decoded too.
+ *
+ * @param keyData the key document or signing options.
+ * @param options the options to use:
+ *          injector the injector to get libraries from.
+ *          [keyAlgorithm] the key algorithm; required to decode hex and
+ *            base58 keys other than Ed25519 keys, and checked against the
+ *            key if given.
+ *
+ * @return `{keyAlgorithm, privateKey, publicKey}` or null if there is no
+ *           private key in a supported encoding; errors are thrown as by
+ *           `decodePublicKey`.
+ */
+api.decodePrivateKey = (keyData, {injector, keyAlgorithm}) => {
+  const encoding = api.PRIVATE_KEY_ENCODINGS.filter(
+    encoding => keyData[encoding] !== undefined)[0];
+  if(!encoding) {
+    return null;
+  }
+  const forge = injector.use('forge');
+  const value = keyData[encoding];
+  let decoded;
+  if(encoding === 'privateKeyPem') {
+    decoded = _decodePrivateKeyPem(value, forge);
+  } else if(encoding === 'privateKeyJwk') {
+    decoded = _decodePrivateKeyJwk(value, forge);
+  } else if(encoding === 'privateKeyMultibase') {
+    const multicodec = _decodeMulticodec(
+      _decode(value, util.decodeMultibase, forge), 'privateMulticodec');
+    decoded = {
+      keyAlgorithm: multicodec.keyAlgorithm,
+      privateKey: multicodec.bytes
+    };
+  } else if(encoding === 'privateKeyWif') {
+    decoded = {
+      keyAlgorithm: 'secp256k1',
+      privateKey: _decodeWif(value, forge)
+    };
+  } else {
+    const bytes = encoding === 'privateKeyBase58' ?
+      _decode(value, util.decodeBase58, forge) : _decodeHex(value, forge);
+    decoded = {
+      keyAlgorithm: keyAlgorithm ||
+        ((bytes.length === 32 || bytes.length === 64) ? 'ed25519' : null),
+      privateKey: bytes
+    };
+    if(!decoded.keyAlgorithm) {
+      throw new errors.InvalidKeyError(
+        `A key algorithm is required to decode "${encoding}".`);
+    }
+  }
+  _checkKeyAlgorithm(decoded, keyAlgorithm);
+  if(decoded.keyAlgorithm === 'ed25519' && decoded.privateKey.length === 32) {
+    // derive the NaCl-style private key from the seed
+    const keyPair = forge.ed25519.generateKeyPair({seed: decoded.privateKey});
+    decoded.privateKey = forge.util.binary.raw.encode(
+      new Uint8Array(keyPair.privateKey));
+  }
+  decoded.publicKey = _getPublicKey(decoded, {injector, forge});
+  return decoded;
+};
+
+/**
+ * Encodes a private key decoded via `decodePrivateKey`.
+ *
+ * @param decoded the decoded key: `{keyAlgorithm, privateKey, publicKey}`.
+ * @param encoding the encoding, one of `PRIVATE_KEY_ENCODINGS`; PEM keys
+ *          are encoded as PKCS #8 and `privateKeyWif` is only supported for
+ *          secp256k1 keys (as a compressed, mainnet key).
+ * @param options the options to use:
+ *          injector the injector to get libraries from.
+ *
+ * @return the encoded private key.
+ */
+api.encodePrivateKey = (decoded, encoding, {injector}) => {
+  const forge = injector.use('forge');
+  const {keyAlgorithm, privateKey} = decoded;
+  const info = _getKeyAlgorithm(keyAlgorithm);
+  if(encoding === 'privateKeyPem') {
+    const asn1 = forge.asn1;
+    if(keyAlgorithm === 'rsa') {
+      return _encodePem('PRIVATE KEY', forge.pki.wrapRsaPrivateKey(
+        asn1.fromDer(privateKey)), forge);
+    }
+    let algorithm;
+    let inner;
+    if(keyAlgorithm === 'ed25519') {
+      algorithm = [_oid(info.oid, forge)];
+      inner = asn1.create(
+        asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false,
+        privateKey.substr(0, 32));
+    } else {
+      algorithm = [_oid(EC_PUBLIC_KEY_OID, forge), _oid(info.oid, forge)];
+      // ECPrivateKey (RFC 5915) with the public key
+      inner = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, '\x01'),
+        asn1.create(
+          asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, privateKey),
+        asn1.create(asn1.Class.CONTEXT_SPECIFIC, 1, true, [
+          asn1.create(
+            asn1.Class.UNIVERSAL, asn1.Type.BITSTRING, false, '\x00' +
+            _decompressPoint(keyAlgorithm, decoded.publicKey, injector))
+        ])
+      ]);
+    }
+    return _encodePem('PRIVATE KEY', asn1.create(
+      asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, '\x00'),
+        asn1.create(
+          asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, algorithm),
+        asn1.create(
+          asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false,
+          asn1.toDer(inner).getBytes())
+      ]), forge);
+  }
+  if(encoding === 'privateKeyJwk') {
+    return _encodeJwk(decoded, {injector, forge, includePrivate: true});
+  }
+  if(encoding === 'privateKeyMultibase') {
+    return util.encodeMultibase(info.privateMulticodec + privateKey, {forge});
+  }
+  if(encoding === 'privateKeyBase58') {
+    return util.encodeBase58(privateKey, {forge});
+  }
+  if(encoding === 'privateKeyHex') {
+    return forge.util.bytesToHex(privateKey);
+  }
+  if(encoding === 'privateKeyWif') {
+    if(keyAlgorithm !== 'secp256k1') {
+      throw new Error(
+        'Only secp256k1 keys can be encoded as "privateKeyWif".');
+    }
+    const payload = '\x80' + privateKey + '\x01';
+    return util.encodeBase58(
+      payload + _sha256(_sha256(payload, forge), forge).substr(0, 4),
+      {forge});
+  }
+  throw new Error(`Unsupported private key encoding "${encoding}".`);
+};
+
+/**
+ * Converts the public key in a key document to another encoding.
+ *
+ * @param key the key document.
+ * @param encoding the encoding to convert to.
+ * @param options the options to use:
+ *          injector the injector to get libraries from.
+ *          [keyAlgorithm] the key algorithm, see `decodePublicKey`.
+ *
+ * @return the encoded public key or undefined if the key has no public key
+ *           in a supported encoding.
+ */
+api.convertPublicKey = (key, encoding, options) => {
+  if(key[encoding] !== undefined) {
+    return key[encoding];
+  }
+  const decoded = api.decodePublicKey(key, options);
+  if(!decoded) {
+    return undefined;
+  }
+  return api.encodePublicKey(decoded, encoding, options);
+};
+
+/**
+ * Converts the private key in a key document or signing options to another
+ * encoding.
+ *
+ * @param keyData the key document or signing options.
+ * @param encoding the encoding to convert to.
+ * @param options the options to use:
+ *          injector the injector to get libraries from.
+ *          [keyAlgorithm] the key algorithm, see `decodePrivateKey`.
+ *
+ * @return the encoded private key or undefined if there is no private key
+ *           in a supported encoding.
+ */
+api.convertPrivateKey = (keyData, encoding, options) => {
+  if(keyData[encoding] !== undefined) {
+    return keyData[encoding];
+  }
+  const decoded = api.decodePrivateKey(keyData, options);
+  if(!decoded) {
+    return undefined;
+  }
+  return api.encodePrivateKey(decoded, encoding, options);
+};
+
+function _getKeyAlgorithm(keyAlgorithm) {
+  if(!api.KEY_ALGORITHMS.hasOwnProperty(keyAlgorithm)) {
+    throw new errors.UnsupportedAlgorithmError(
+      `Unsupported key algorithm "${keyAlgorithm}".`);
+  }
+  return api.KEY_ALGORITHMS[keyAlgorithm];
+}
+
+function _checkKeyAlgorithm(decoded, keyAlgorithm) {
+  _getKeyAlgorithm(decoded.keyAlgorithm);
+  if(keyAlgorithm !== undefined && decoded.keyAlgorithm !== keyAlgorithm) {
+    throw new errors.InvalidKeyError(
+      `The key is a "${decoded.keyAlgorithm}" key, not a ` +
+      `"${keyAlgorithm}" key.`);
+  }
+}
+
+function _guessKeyAlgorithm(bytes, keyAlgorithm) {
+  if(keyAlgorithm !== undefined) {
+    return keyAlgorithm;
+  }
+  if(bytes.length === 32) {
+    return 'ed25519';
+  }
+  throw new errors.InvalidKeyError(
+    'A key algorithm is required to decode the key.');
+}
+
+function _checkPublicKey({keyAlgorithm, publicKey}) {
+  if(keyAlgorithm === 'ed25519' && publicKey.length !== 32) {
+    throw new errors.InvalidKeyError('Invalid Ed25519 public key length.');
+  }
+}
+
+function _decode(value, decode, forge) {
+  if(typeof value !== 'string') {
+    throw new errors.InvalidKeyError('Encoded keys must be strings.');
+  }
+  try {
+    return decode(value, {forge});
+  } catch(e) {
+    throw new errors.InvalidKeyError(e.message);
+  }
+}
+
+function _decodeHex(value, forge) {
+  if(!(typeof value === 'string' && /^([0-9a-fA-F]{2})+$/.test(value))) {
+    throw new errors.InvalidKeyError('Hex encoded keys must be hex strings.');
+  }
+  return forge.util.hexToBytes(value);
+}
+
+function _decodeMulticodec(bytes, header) {
+  for(const keyAlgorithm in api.KEY_ALGORITHMS) {
+    if(bytes.substr(0, 2) === api.KEY_ALGORITHMS[keyAlgorithm][header]) {
+      return {keyAlgorithm, bytes: bytes.substr(2)};
+    }
+  }
+  throw new errors.UnsupportedAlgorithmError(
+    'Unsupported multicodec key type.');
+}
+
+function _sha256(bytes, forge) {
+  const md = forge.md.sha256.create();
+  md.update(bytes, 'raw');
+  return md.digest().getBytes();
+}
+
+function _decodeWif(value, forge) {
+  const bytes = _decode(value, util.decodeBase58, forge);
+  const payload = bytes.substr(0, bytes.length - 4);
+  const checksum = _sha256(_sha256(payload, forge), forge).substr(0, 4);
+  // mainnet (0x80) or testnet (0xef), optionally flagged as compressed
+  if(!(checksum === bytes.substr(bytes.length - 4) &&
+    (payload[0] === '\x80' || payload[0] === '\xef') &&
+    (payload.length === 33 ||
+    (payload.length === 34 && payload[33] === '\x01')))) {
+    throw new errors.InvalidKeyError('Invalid "privateKeyWif".');
+  }
+  return payload.substr(1, 32);
+}
+
+function _compressPoint(keyAlgorithm, point, injector) {
+  const forge = injector.use('forge');
+  const {size} = api.KEY_ALGORITHMS[keyAlgorithm];
+  // the point must be compressed or uncompressed and on the curve
+  let key;
+  if(point.length === 1 + size || point.length === 1 + 2 * size) {
+    try {
+      key = api.getCurve(keyAlgorithm, {injector}).keyFromPublic(
+        forge.util.bytesToHex(point), 'hex');
+    } catch(e) {}
+  }
+  if(!(key && key.validate().result)) {
+    throw new errors.InvalidKeyError(`Invalid ${keyAlgorithm} public key.`);
+  }
+  return forge.util.hexToBytes(key.getPublic(true, 'hex'));
+}
+
+function _decompressPoint(keyAlgorithm, point, injector) {
+  const forge = injector.use('forge');
+  const key = api.getCurve(keyAlgorithm, {injector}).keyFromPublic(
+    forge.util.bytesToHex(point), 'hex');
+  return forge.util.hexToBytes(key.getPublic(false, 'hex'));
+}
+
+function _getPublicKey({keyAlgorithm, privateKey}, {injector, forge}) {
+  if(keyAlgorithm === 'ed25519') {
+    if(privateKey.length !== 64) {
+      throw new errors.InvalidKeyError('Invalid Ed25519 private key length.');
+    }
+    return privateKey.substr(32);
+  }
+  if(keyAlgorithm === 'rsa') {
+    const key = _rsaPrivateKeyFromDer(privateKey, forge);
+    return forge.asn1.toDer(forge.pki.publicKeyToRSAPublicKey(
+      forge.pki.setRsaPublicKey(key.n, key.e))).getBytes();
+  }
+  const {size} = api.KEY_ALGORITHMS[keyAlgorithm];
+  if(privateKey.length !== size) {
+    throw new errors.InvalidKeyError(
+      `Invalid ${keyAlgorithm} private key length.`);
+  }
+  const key = api.getCurve(keyAlgorithm, {injector}).keyFromPrivate(
+    forge.util.bytesToHex(privateKey), 'hex');
+  return forge.util.hexToBytes(key.getPublic(true, 'hex'));
+}
+
+function _oid(oid, forge) {
+  const asn1 = forge.asn1;
+  return asn1.create(
+    asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(oid).getBytes());
+}
+
+function _encodePem(type, obj, forge) {
+  return forge.pem.encode(
+    {type, body: forge.asn1.toDer(obj).getBytes()});
+}
+
+function _decodePem(pem, forge) {
+  if(typeof pem !== 'string') {
+    throw new errors.InvalidKeyError('PEM encoded keys must be strings.');
+  }
+  let msg;
+  try {
+    msg = forge.pem.decode(pem)[0];
+  } catch(e) {}
+  if(!msg || msg.procType) {
+    throw new errors.InvalidKeyError('Invalid or encrypted PEM encoded key.');
+  }
+  return {
+    type: msg.type,
+    asn1: forge.asn1.fromDer(msg.body, {decodeBitStrings: false})
+  };
+}
+
+function _getKeyAlgorithmForOid(oid) {
+  for(const keyAlgorithm in api.KEY_ALGORITHMS) {
+    if(api.KEY_ALGORITHMS[keyAlgorithm].oid === oid) {
+      return keyAlgorithm;
+    }
+  }
+  throw new errors.UnsupportedAlgorithmError(
+    `Unsupported key algorithm OID "${oid}".`);
+}
+
+// gets the key algorithm from a SPKI or PKCS #8 AlgorithmIdentifier
+function _getAlgorithmIdentifier(obj, forge) {
+  const oid = forge.asn1.derToOid(obj.value[0].value);
+  if(oid === EC_PUBLIC_KEY_OID) {
+    return _getKeyAlgorithmForOid(forge.asn1.derToOid(obj.value[1].value));
+  }
+  return _getKeyAlgorithmForOid(oid);
+}
+
+function _decodePublicKeyPem(pem, forge) {
+  const {type, asn1} = _decodePem(pem, forge);
+  if(type === 'RSA PUBLIC KEY') {
+    return {keyAlgorithm: 'rsa', publicKey: forge.asn1.toDer(asn1).getBytes()};
+  }
+  if(type !== 'PUBLIC KEY') {
+    throw new errors.InvalidKeyError(
+      `Unsupported PEM type "${type}" for a public key.`);
+  }
+  const keyAlgorithm = _getAlgorithmIdentifier(asn1.value[0], forge);
+  // skip the BIT STRING's unused bits byte
+  return {keyAlgorithm, publicKey: asn1.value[1].value.substr(1)};
+}
+
+function _decodePrivateKeyPem(pem, forge) {
+  const {type, asn1} = _decodePem(pem, forge);
+  if(type === 'RSA PRIVATE KEY') {
+    return {
+      keyAlgorithm: 'rsa', privateKey: forge.asn1.toDer(asn1).getBytes()
+    };
+  }
+  if(type === 'EC PRIVATE KEY') {
+    // ECPrivateKey with the curve as its `[0]` parameters
+    const params = asn1.value.filter(
+      value => value.tagClass === forge.asn1.Class.CONTEXT_SPECIFIC &&
+        value.type === 0)[0];
+    if(!params) {
+      throw new errors.InvalidKeyError(
+        '"EC PRIVATE KEY" PEM keys must specify their curve.');
+    }
+    return {
+      keyAlgorithm: _getKeyAlgorithmForOid(
+        forge.asn1.derToOid(params.value[0].value)),
+      privateKey: asn1.value[1].value
+    };
+  }
+  if(type !== 'PRIVATE KEY') {
+    throw new errors.InvalidKeyError(
+      `Unsupported PEM type "${type}" for a private key.`);
+  }
+  const keyAlgorithm = _getAlgorithmIdentifier(asn1.value[1], forge);
+  const inner = asn1.value[2].value;
+  if(keyAlgorithm === 'rsa') {
+    return {keyAlgorithm, privateKey: inner};
+  }
+  const obj = forge.asn1.fromDer(inner, {decodeBitStrings: false});
+  return {
+    keyAlgorithm,
+    // Ed25519 keys are the seed, EC keys an ECPrivateKey
+    privateKey: keyAlgorithm === 'ed25519' ? obj.value : obj.value[1].value
+  };
+}
+
+function _decodeJwkParam(jwk, param, forge) {
+  if(typeof jwk[param] !== 'string') {
+    throw new errors.InvalidKeyError(`JWK parameter "${param}" is missing.`);
+  }
+  return _decode(jwk[param], util.decodeBase64Url, forge);
+}
+
+function _getJwkKeyAlgorithm(jwk) {
+  if(!(jwk && typeof jwk === 'object')) {
+    throw new errors.InvalidKeyError('JWK keys must be objects.');
+  }
+  if(jwk.kty === 'RSA') {
+    return 'rsa';
+  }
+  for(const keyAlgorithm in api.KEY_ALGORITHMS) {
+    const info = api.KEY_ALGORITHMS[keyAlgorithm];
+    if(info.jwkCurve === jwk.crv &&
+      jwk.kty === (keyAlgorithm === 'ed25519' ? 'OKP' : 'EC')) {
+      return keyAlgorithm;
+    }
+  }
+  throw new errors.UnsupportedAlgorithmError(
+    `Unsupported JWK; "kty" of "${jwk.kty}" and "crv" of "${jwk.crv}" ` +
+    'are not supported.');
+}
+
+function _bigInteger(bytes, forge) {
+  return new forge.jsbn.BigInteger(forge.util.bytesToHex(bytes), 16);
+}
+
+function _decodePublicKeyJwk(jwk, forge) {
+  const keyAlgorithm = _getJwkKeyAlgorithm(jwk);
+  const param = name => _decodeJwkParam(jwk, name, forge);
+  if(keyAlgorithm === 'rsa') {
+    const publicKey = forge.pki.setRsaPublicKey(
+      _bigInteger(param('n'), forge), _bigInteger(param('e'), forge));
+    return {
+      keyAlgorithm,
+      publicKey: forge.asn1.toDer(
+        forge.pki.publicKeyToRSAPublicKey(publicKey)).getBytes()
+    };
+  }
+  if(keyAlgorithm === 'ed25519') {
+    return {keyAlgorithm, publicKey: param('x')};
+  }
+  return {keyAlgorithm, publicKey: '\x04' + param('x') + param('y')};
+}
+
+function _decodePrivateKeyJwk(jwk, forge) {
+  const keyAlgorithm = _getJwkKeyAlgorithm(jwk);
+  const param = name => _decodeJwkParam(jwk, name, forge);
+  if(keyAlgorithm === 'rsa') {
+    const bn = name => _bigInteger(param(name), forge);
+    const privateKey = forge.pki.setRsaPrivateKey(
+      bn('n'), bn('e'), bn('d'), bn('p'), bn('q'), bn('dp'), bn('dq'),
+      bn('qi'));
+    return {
+      keyAlgorithm,
+      privateKey: forge.asn1.toDer(
+        forge.pki.privateKeyToAsn1(privateKey)).getBytes()
+    };
+  }
+  return {keyAlgorithm, privateKey: param('d')};
+}
+
+function _encodeJwk(decoded, {injector, forge, includePrivate = false}) {
+  const {keyAlgorithm, publicKey, privateKey} = decoded;
+  const encode = value => util.encodeBase64Url(value, {forge});
+  const info = api.KEY_ALGORITHMS[keyAlgorithm];
+  if(keyAlgorithm === 'rsa') {
+    // JWK integers are unsigned, big-endian and without leading zeros
+    const bn = value => encode(forge.util.hexToBytes(
+      value.toString(16).replace(/^(.(..)*)$/, '0$1')));
+    if(includePrivate) {
+      const key = _rsaPrivateKeyFromDer(privateKey, forge);
+      return {
+        kty: 'RSA', n: bn(key.n), e: bn(key.e), d: bn(key.d), p: bn(key.p),
+        q: bn(key.q), dp: bn(key.dP), dq: bn(key.dQ), qi: bn(key.qInv)
+      };
+    }
+    const key = _rsaPublicKeyFromDer(publicKey, forge);
+    return {kty: 'RSA', n: bn(key.n), e: bn(key.e)};
+  }
+  if(keyAlgorithm === 'ed25519') {
+    const jwk = {kty: 'OKP', crv: info.jwkCurve, x: encode(publicKey)};
+    if(includePrivate) {
+      jwk.d = encode(privateKey.substr(0, 32));
+    }
+    return jwk;
+  }
+  const point = _decompressPoint(keyAlgorithm, publicKey, injector);
+  const jwk = {
+    kty: 'EC',
+    crv: info.jwkCurve,
+    x: encode(point.substr(1, info.size)),
+    y: encode(point.substr(1 + info.size))
+  };
+  if(includePrivate) {
+    jwk.d = encode(privateKey);
+  }
+  return jwk;
+}
+
+function _rsaPublicKeyFromDer(publicKey, forge) {
+  try {
+    return forge.pki.publicKeyFromAsn1(forge.asn1.fromDer(publicKey));
+  } catch(e) {
+    throw new errors.InvalidKeyError('Invalid RSA public key.');
+  }
+}
+
+function _rsaPrivateKeyFromDer(privateKey, forge) {
+  try {
+    return forge.pki.privateKeyFromAsn1(forge.asn1.fromDer(privateKey));
+  } catch(e) {
+    throw new errors.InvalidKeyError('Invalid RSA private key.');
+  }
+}
@@ -0,0 +1,13 @@
+/*
+ * Copyright (c) 2018 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+// registered key pair classes by key type (as compacted via the security-v2
+// context); applications may add their own `KeyPair` subclasses
+module.exports = {
+  EcdsaSecp256k1VerificationKey2019: require('./keys/Secp256k1KeyPair'),
+  EcdsaSecp256r1VerificationKey2019: require('./keys/P256KeyPair'),
+  Ed25519VerificationKey2018: require('./keys/Ed25519KeyPair'),
+  RsaVerificationKey2018: require('./keys/RsaKeyPair')
+};
@@ -0,0 +1,104 @@
+/*
+ * Copyright (c) 2018 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const KeyPair = require('./KeyPair');
+const Ed25519Signature2018 = require('../suites/Ed25519Signature2018');
+const keyEncoding = require('../keyEncoding');
+const util = require('../util');
+
+/**
+ * An Ed25519 key pair for `Ed25519Signature2018`, expressed as
+ * `publicKeyBase58` and `privateKeyBase58` (the NaCl-style 64 byte private
+ * key: the seed followed by the public key).
+ */
+module.exports = class Ed25519KeyPair extends KeyPair {
+  constructor(injector, options) {
+    super(injector, Object.assign(
+      {type: 'Ed25519VerificationKey2018'}, options));
+    this.publicKeyBase58 = options.publicKeyBase58;
+    this._privateKeyBase58 = options.privateKeyBase58;
+  }
+
+  static get Suite() {
+    return Ed25519Signature2018;
+  }
+
+  /**
+   * Generates a new Ed25519 key pair.
+   *
+   * @param injector the injector to get libraries from.
+   * @param [options] the options to use:
+   *          [id] the ID (URL) of the public key.
+   *          [controller] the ID (URL) of the key's controller (owner).
+   *          [seed] a 32 byte seed (a binary string or Uint8Array) to
+   *            derive the key pair from deterministically.
+   *
+   * @return a Promise that resolves to the key pair.
+   */
+  static async generate(injector, options = {}) {
+    const forge = injector.use('forge');
+    const {publicKey, privateKey} = forge.ed25519.generateKeyPair(
+      options.seed === undefined ? {} : {seed: options.seed});
+    return new this(injector, {
+      id: options.id,
+      controller: options.controller,
+      publicKeyBase58: forge.util.binary.base58.encode(publicKey),
+      privateKeyBase58: forge.util.binary.base58.encode(privateKey)
+    });
+  }
+
+  static getPublicKeyMaterial(keyData) {
+    if(typeof keyData.publicKeyBase58 !== 'string') {
+      throw new TypeError(
+        '"publicKeyBase58" must be a base 58 formatted string.');
+    }
+    return {publicKeyBase58: keyData.publicKeyBase58};
+  }
+
+  static getPrivateKeyMaterial(keyData) {
+    if(keyData.privateKeyBase58 === undefined) {
+      return {};
+    }
+    if(typeof keyData.privateKeyBase58 !== 'string') {
+      throw new TypeError(
+        '"privateKeyBase58" must be a base 58 formatted string.');
+    }
+    return {privateKeyBase58: keyData.privateKeyBase58};
+  }
+
+  static fromKeyMaterial(injector, options) {
+    const forge = injector.use('forge');
+    const publicKey = util.decodeBase58(options.publicKeyBase58, {forge});
+    if(publicKey.length !== 32) {
+      throw new TypeError('"publicKeyBase58" must be a 32 byte key.');
+    }
+    if(options.privateKeyBase58 !== undefined) {
+      const privateKey = util.decodeBase58(options.privateKeyBase58, {forge});
+      if(!(privateKey.length === 64 && privateKey.substr(32) === publicKey)) {
+        throw new TypeError(
+          '"privateKeyBase58" must be the 64 byte private key of ' +
+          '"publicKeyBase58".');
+      }
+    }
+    return new this(injector, options);
+  }
+
+  getPublicKeyMaterial() {
+    return {publicKeyBase58: this.publicKeyBase58};
+  }
+
+  getPrivateKeyMaterial() {
+    if(this._privateKeyBase58 === undefined) {
+      return {};
+    }
+    return {privateKeyBase58: this._privateKeyBase58};
+  }
+
+  getMulticodecPublicKey() {
+    const forge = this.injector.use('forge');
+    return keyEncoding.KEY_ALGORITHMS.ed25519.publicMulticodec +
+      util.decodeBase58(this.publicKeyBase58, {forge});
+  }
+};
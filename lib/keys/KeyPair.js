@@ -0,0 +1,309 @@
+/*
+ * Copyright (c) 2018 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const constants = require('../constants');
+const util = require('../util');
+
+// PBKDF2-SHA256 iterations used to derive a key from a passphrase when
+// exporting an encrypted private key; encrypted private keys with any other
+// iteration count are rejected so that an imported key cannot make
+// decryption arbitrarily slow (or weak)
+const PBKDF2_ITERATIONS = 100000;
+
+/**
+ * Base class for key pairs. A key pair has an `id`, a `controller` and a
+ * key `type` (a term as compacted via the security-v2 context) and holds the
+ * public key material, plus the private key material if it is known.
+ *
+ * Subclasses implement `generate` and `from` and the methods that encode
+ * their key material; the public key document they export is in the format
+ * their `Suite`'s `validateKey` expects.
+ */
+module.exports = class KeyPair {
+  constructor(injector, {id, controller, type}) {
+    if(id !== undefined && typeof id !== 'string') {
+      throw new TypeError('"id" must be a URL string.');
+    }
+    if(controller !== undefined && typeof controller !== 'string') {
+      throw new TypeError('"controller" must be a URL string.');
+    }
+    this.injector = injector;
+    this.id = id;
+    this.controller = controller;
+    this.type = type;
+  }
+
+  /**
+   * Generates a new key pair.
+   *
+   * @param injector the injector to get libraries from.
+   * @param [options] the options to use:
+   *          [id] the ID (URL) of the public key.
+   *          [controller] the ID (URL) of the key's controller (owner).
+   *
+   * @return a Promise that resolves to the key pair.
+   */
+  static async generate(injector, options) {
+    throw new Error('"generate" must be implemented in a derived class.');
+  }
+
+  /**
+   * Creates a key pair from a key document, e.g. one produced by
+   * `exportPublicKey`, optionally including the private key material
+   * produced by `exportPrivateKey`.
+   *
+   * @param injector the injector to get libraries from.
+   * @param keyData the key document.
+   * @param [options] the options to use:
+   *          [passphrase] the passphrase to decrypt an `encryptedPrivateKey`
+   *            with.
+   *
+   * @return a Promise that resolves to the key pair.
+   */
+  static async from(injector, keyData, options = {}) {
+    if(!(keyData && typeof keyData === 'object')) {
+      throw new TypeError('"keyData" must be an object.');
+    }
+    const privateKey = keyData.encryptedPrivateKey === undefined ?
+      keyData : KeyPair.decryptPrivateKey(
+        injector, keyData.encryptedPrivateKey, options.passphrase);
+    return this.fromKeyMaterial(injector, Object.assign({
+      id: keyData.id,
+      // older key documents use `owner` instead of `controller`
+      controller: keyData.controller || keyData.owner
+    }, this.getPublicKeyMaterial(keyData), this.getPrivateKeyMaterial(
+      privateKey)));
+  }
+
+  /**
+   * Gets the public key material from a key document.
+   *
+   * @param keyData the key document.
+   *
+   * @return the public key material (e.g. `{publicKeyBase58}`).
+   */
+  static getPublicKeyMaterial(keyData) {
+    throw new Error(
+      '"getPublicKeyMaterial" must be implemented in a derived class.');
+  }
+
+  /**
+   * Gets the private key material, if any, from a key document or decrypted
+   * private key export.
+   *
+   * @param keyData the key document or private key export.
+   *
+   * @return the private key material (e.g. `{privateKeyBase58}`), which is
+   *           empty if there is none.
+   */
+  static getPrivateKeyMaterial(keyData) {
+    throw new Error(
+      '"getPrivateKeyMaterial" must be implemented in a derived class.');
+  }
+
+  /**
+   * Creates a key pair from validated key material.
+   *
+   * @param injector the injector to get libraries from.
+   * @param options the `id`, `controller` and key material.
+   *
+   * @return the key pair.
+   */
+  static fromKeyMaterial(injector, options) {
+    return new this(injector, options);
+  }
+
+  /**
+   * Exports the public key document, which includes no private key
+   * material.
+   *
+   * @return the public key document.
+   */
+  exportPublicKey() {
+    const key = {'@context': constants.SECURITY_CONTEXT};
+    if(this.id !== undefined) {
+      key.id = this.id;
+    }
+    key.type = this.type;
+    if(this.controller !== undefined) {
+      key.controller = this.controller;
+    }
+    return Object.assign(key, this.getPublicKeyMaterial());
+  }
+
+  /**
+   * Exports the private key material in the form `sign` accepts it (e.g.
+   * `{privateKeyBase58}`) or, if a passphrase is given, encrypted via a
+   * PBKDF2-SHA256 derived key and AES-256-GCM as `{encryptedPrivateKey}`,
+   * which only `from` can read.
+   *
+   * @param [options] the options to use:
+   *          [passphrase] the passphrase to encrypt the private key with.
+   *
+   * @return the private key material.
+   */
+  exportPrivateKey({passphrase} = {}) {
+    const privateKey = this.getPrivateKeyMaterial();
+    if(Object.keys(privateKey).length === 0) {
+      throw new Error('The key pair has no private key.');
+    }
+    if(passphrase === undefined) {
+      return privateKey;
+    }
+    return {
+      encryptedPrivateKey: KeyPair.encryptPrivateKey(
+        this.injector, privateKey, passphrase)
+    };
+  }
+
+  /**
+   * Gets the public key material of this key pair.
+   *
+   * @return the public key material (e.g. `{publicKeyBase58}`).
+   */
+  getPublicKeyMaterial() {
+    throw new Error(
+      '"getPublicKeyMaterial" must be implemented in a derived class.');
+  }
+
+  /**
+   * Gets the private key material of this key pair.
+   *
+   * @return the private key material (e.g. `{privateKeyBase58}`), which is
+   *           empty if the private key is not known.
+   */
+  getPrivateKeyMaterial() {
+    throw new Error(
+      '"getPrivateKeyMaterial" must be implemented in a derived class.');
+  }
+
+  /**
+   * Gets the raw public key prefixed with its multicodec header.
+   *
+   * @return the public key as a binary string.
+   */
+  getMulticodecPublicKey() {
+    throw new Error(
+      '"getMulticodecPublicKey" must be implemented in a derived class.');
+  }
+
+  /**
+   * Gets the fingerprint of the public key: its multicodec encoding as a
+   * base58-btc multibase string. It is the same however the key is
+   * expressed and, for Ed25519, secp256k1 and P-256 keys, is the `did:key`
+   * identifier of the key.
+   *
+   * @return the fingerprint.
+   */
+  fingerprint() {
+    const forge = this.injector.use('forge');
+    return util.encodeMultibase(this.getMulticodecPublicKey(), {forge});
+  }
+
+  /**
+   * Checks whether a fingerprint is the fingerprint of this key pair.
+   *
+   * @param fingerprint the fingerprint to check.
+   *
+   * @return true if the fingerprint matches, false if not.
+   */
+  verifyFingerprint(fingerprint) {
+    return typeof fingerprint === 'string' &&
+      fingerprint === this.fingerprint();
+  }
+
+  /**
+   * Creates a signer for this key pair's suite, with this key pair's `id`,
+   * that can be passed to `sign` via its `signer` option.
+   *
+   * @return a Promise that resolves to the signer.
+   */
+  async signer() {
+    const suite = new this.constructor.Suite(this.injector);
+    const signer = await suite.createSigner(this.exportPrivateKey());
+    if(this.id !== undefined) {
+      signer.id = this.id;
+    }
+    return signer;
+  }
+
+  // private key material is never serialized implicitly
+  toJSON() {
+    return this.exportPublicKey();
+  }
+
+  /**
+   * Encrypts private key material with a passphrase.
+   *
+   * @param injector the injector to get libraries from.
+   * @param privateKey the private key material.
+   * @param passphrase the passphrase.
+   *
+   * @return the encrypted private key.
+   */
+  static encryptPrivateKey(injector, privateKey, passphrase) {
+    if(typeof passphrase !== 'string') {
+      throw new TypeError('"passphrase" must be a string.');
+    }
+    const forge = injector.use('forge');
+    const salt = forge.random.getBytesSync(16);
+    const iv = forge.random.getBytesSync(12);
+    const key = forge.pkcs5.pbkdf2(
+      forge.util.encodeUtf8(passphrase), salt, PBKDF2_ITERATIONS, 32,
+      'sha256');
+    const cipher = forge.cipher.createCipher('AES-GCM', key);
+    cipher.start({iv});
+    cipher.update(forge.util.createBuffer(
+      forge.util.encodeUtf8(JSON.stringify(privateKey))));
+    cipher.finish();
+    const encode = value => util.encodeBase64Url(value, {forge});
+    return {
+      iterations: PBKDF2_ITERATIONS,
+      salt: encode(salt),
+      iv: encode(iv),
+      tag: encode(cipher.mode.tag.getBytes()),
+      ciphertext: encode(cipher.output.getBytes())
+    };
+  }
+
+  /**
+   * Decrypts private key material encrypted via `encryptPrivateKey`.
+   *
+   * @param injector the injector to get libraries from.
+   * @param encrypted the encrypted private key.
+   * @param passphrase the passphrase.
+   *
+   * @return the private key material.
+   */
+  static decryptPrivateKey(injector, encrypted, passphrase) {
+    if(typeof passphrase !== 'string') {
+      throw new TypeError(
+        '"options.passphrase" must be given to decrypt the private key.');
+    }
+    if(!(encrypted && typeof encrypted === 'object' &&
+      encrypted.iterations === PBKDF2_ITERATIONS &&
+      ['salt', 'iv', 'tag', 'ciphertext'].every(
+        param => typeof encrypted[param] === 'string'))) {
+      throw new TypeError('"encryptedPrivateKey" is invalid.');
+    }
+    const forge = injector.use('forge');
+    const decode = value => util.decodeBase64Url(value, {forge});
+    const key = forge.pkcs5.pbkdf2(
+      forge.util.encodeUtf8(passphrase), decode(encrypted.salt),
+      encrypted.iterations, 32, 'sha256');
+    const decipher = forge.cipher.createDecipher('AES-GCM', key);
+    decipher.start({
+      iv: decode(encrypted.iv),
+      tag: forge.util.createBuffer(decode(encrypted.tag))
+    });
+    decipher.update(forge.util.createBuffer(decode(encrypted.ciphertext)));
+    if(!decipher.finish()) {
+      throw new Error(
+        'The private key could not be decrypted; the passphrase may be ' +
+        'incorrect.');
+    }
+    return JSON.parse(forge.util.decodeUtf8(decipher.output.getBytes()));
+  }
+};
@@ -0,0 +1,27 @@
+/*
+ * Copyright (c) 2018 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const Secp256k1KeyPair = require('./Secp256k1KeyPair');
+const EcdsaSecp256r1Signature2019 = require(
+  '../suites/EcdsaSecp256r1Signature2019');
+
+/**
+ * A NIST P-256 key pair for `EcdsaSecp256r1Signature2019`, expressed as a
+ * compressed `publicKeyHex` and a `privateKeyHex`.
+ */
+module.exports = class P256KeyPair extends Secp256k1KeyPair {
+  constructor(injector, options) {
+    super(injector, Object.assign(
+      {type: 'EcdsaSecp256r1VerificationKey2019'}, options));
+  }
+
+  static get Suite() {
+    return EcdsaSecp256r1Signature2019;
+  }
+
+  static get curve() {
+    return 'p256';
+  }
+};
@@ -0,0 +1,141 @@
+/*
+ * Copyright (c) 2018 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const KeyPair = require('./KeyPair');
+const RsaSignature2018 = require('../suites/RsaSignature2018');
+const keyEncoding = require('../keyEncoding');
+
+/**
+ * An RSA key pair for `RsaSignature2018`, expressed as `publicKeyPem` and
+ * `privateKeyPem`.
+ */
+module.exports = class RsaKeyPair extends KeyPair {
+  constructor(injector, options) {
+    super(injector, Object.assign(
+      {type: 'RsaVerificationKey2018'}, options));
+    this.publicKeyPem = options.publicKeyPem;
+    this._privateKeyPem = options.privateKeyPem;
+  }
+
+  static get Suite() {
+    return RsaSignature2018;
+  }
+
+  /**
+   * Generates a new RSA key pair with a public exponent of 65537.
+   *
+   * @param injector the injector to get libraries from.
+   * @param [options] the options to use:
+   *          [id] the ID (URL) of the public key.
+   *          [controller] the ID (URL) of the key's controller (owner).
+   *          [bits] the size of the modulus in bits (default: 2048).
+   *
+   * @return a Promise that resolves to the key pair.
+   */
+  static async generate(injector, options = {}) {
+    const {bits = 2048} = options;
+    if(!(typeof bits === 'number' && bits >= 2048)) {
+      throw new TypeError('"options.bits" must be a number >= 2048.');
+    }
+
+    let pems;
+    if(injector.env.nodejs) {
+      // optimize using node 10.12+ libraries
+      const crypto = injector.use('crypto');
+      if(typeof crypto.generateKeyPair === 'function') {
+        pems = await new Promise((resolve, reject) => {
+          crypto.generateKeyPair('rsa', {
+            modulusLength: bits,
+            publicExponent: 0x10001,
+            publicKeyEncoding: {type: 'spki', format: 'pem'},
+            privateKeyEncoding: {type: 'pkcs1', format: 'pem'}
+          }, (err, publicKey, privateKey) => err ?
+            reject(err) : resolve({publicKey, privateKey}));
+        });
+      }
+    }
+
+    if(!pems) {
+      // browser or other environment
+      const forge = injector.use('forge');
+      const keyPair = await new Promise((resolve, reject) => {
+        forge.pki.rsa.generateKeyPair(
+          {bits, e: 0x10001}, (err, keyPair) => err ?
+            reject(err) : resolve(keyPair));
+      });
+      pems = {
+        publicKey: forge.pki.publicKeyToPem(keyPair.publicKey),
+        privateKey: forge.pki.privateKeyToPem(keyPair.privateKey)
+      };
+    }
+
+    return new this(injector, {
+      id: options.id,
+      controller: options.controller,
+      publicKeyPem: pems.publicKey,
+      privateKeyPem: pems.privateKey
+    });
+  }
+
+  static getPublicKeyMaterial(keyData) {
+    if(typeof keyData.publicKeyPem !== 'string') {
+      throw new TypeError('"publicKeyPem" must be a PEM formatted string.');
+    }
+    return {publicKeyPem: keyData.publicKeyPem};
+  }
+
+  static getPrivateKeyMaterial(keyData) {
+    if(keyData.privateKeyPem === undefined) {
+      return {};
+    }
+    if(typeof keyData.privateKeyPem !== 'string') {
+      throw new TypeError('"privateKeyPem" must be a PEM formatted string.');
+    }
+    return {privateKeyPem: keyData.privateKeyPem};
+  }
+
+  static fromKeyMaterial(injector, options) {
+    const forge = injector.use('forge');
+    let publicKey;
+    try {
+      publicKey = forge.pki.publicKeyFromPem(options.publicKeyPem);
+    } catch(e) {
+      throw new TypeError('"publicKeyPem" must be an RSA public key.');
+    }
+    if(options.privateKeyPem !== undefined) {
+      let privateKey;
+      try {
+        privateKey = forge.pki.privateKeyFromPem(options.privateKeyPem);
+      } catch(e) {
+        throw new TypeError('"privateKeyPem" must be an RSA private key.');
+      }
+      if(!(privateKey && privateKey.n.equals(publicKey.n) &&
+        privateKey.e.equals(publicKey.e))) {
+        throw new TypeError(
+          '"privateKeyPem" must be the private key of "publicKeyPem".');
+      }
+    }
+    return new this(injector, options);
+  }
+
+  getPublicKeyMaterial() {
+    return {publicKeyPem: this.publicKeyPem};
+  }
+
+  getPrivateKeyMaterial() {
+    if(this._privateKeyPem === undefined) {
+      return {};
+    }
+    return {privateKeyPem: this._privateKeyPem};
+  }
+
+  getMulticodecPublicKey() {
+    const forge = this.injector.use('forge');
+    const publicKey = forge.pki.publicKeyFromPem(this.publicKeyPem);
+    return keyEncoding.KEY_ALGORITHMS.rsa.publicMulticodec +
+      forge.asn1.toDer(
+        forge.pki.publicKeyToRSAPublicKey(publicKey)).getBytes();
+  }
+};
@@ -0,0 +1,119 @@
+/*
+ * Copyright (c) 2018 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const KeyPair = require('./KeyPair');
+const EcdsaSecp256k1Signature2019 = require(
+  '../suites/EcdsaSecp256k1Signature2019');
+const keyEncoding = require('../keyEncoding');
+
+/**
+ * A secp256k1 key pair for `EcdsaSecp256k1Signature2019`, expressed as a
+ * compressed `publicKeyHex` and a `privateKeyHex`.
+ */
+module.exports = class Secp256k1KeyPair extends KeyPair {
+  constructor(injector, options) {
+    super(injector, Object.assign(
+      {type: 'EcdsaSecp256k1VerificationKey2019'}, options));
+    this.publicKeyHex = options.publicKeyHex;
+    this._privateKeyHex = options.privateKeyHex;
+  }
+
+  static get Suite() {
+    return EcdsaSecp256k1Signature2019;
+  }
+
+  // name of the curve in `elliptic` (and key algorithm in `keyEncoding`)
+  static get curve() {
+    return 'secp256k1';
+  }
+
+  // multicodec header (varint) of the curve's compressed public keys
+  static get multicodec() {
+    return keyEncoding.KEY_ALGORITHMS[this.curve].publicMulticodec;
+  }
+
+  /**
+   * Generates a new key pair.
+   *
+   * @param injector the injector to get libraries from.
+   * @param [options] the options to use:
+   *          [id] the ID (URL) of the public key.
+   *          [controller] the ID (URL) of the key's controller (owner).
+   *
+   * @return a Promise that resolves to the key pair.
+   */
+  static async generate(injector, options = {}) {
+    const key = this._getCurve(injector).genKeyPair();
+    return new this(injector, {
+      id: options.id,
+      controller: options.controller,
+      publicKeyHex: key.getPublic(true, 'hex'),
+      privateKeyHex: key.getPrivate().toString(16, 64)
+    });
+  }
+
+  static getPublicKeyMaterial(keyData) {
+    if(!(typeof keyData.publicKeyHex === 'string' &&
+      /^[0-9a-fA-F]+$/.test(keyData.publicKeyHex))) {
+      throw new TypeError('"publicKeyHex" must be a hex string.');
+    }
+    return {publicKeyHex: keyData.publicKeyHex};
+  }
+
+  static getPrivateKeyMaterial(keyData) {
+    if(keyData.privateKeyHex === undefined) {
+      return {};
+    }
+    if(!(typeof keyData.privateKeyHex === 'string' &&
+      /^[0-9a-fA-F]{64}$/.test(keyData.privateKeyHex))) {
+      throw new TypeError('"privateKeyHex" must be a 32 byte hex string.');
+    }
+    return {privateKeyHex: keyData.privateKeyHex.toLowerCase()};
+  }
+
+  static fromKeyMaterial(injector, options) {
+    const curve = this._getCurve(injector);
+    let publicKey;
+    try {
+      publicKey = curve.keyFromPublic(options.publicKeyHex, 'hex');
+      if(!publicKey.validate().result) {
+        throw new Error('Invalid point.');
+      }
+    } catch(e) {
+      throw new TypeError(
+        `"publicKeyHex" must be a ${this.curve} public key.`);
+    }
+    // always store the compressed form
+    const publicKeyHex = publicKey.getPublic(true, 'hex');
+    if(options.privateKeyHex !== undefined &&
+      curve.keyFromPrivate(options.privateKeyHex, 'hex')
+        .getPublic(true, 'hex') !== publicKeyHex) {
+      throw new TypeError(
+        '"privateKeyHex" must be the private key of "publicKeyHex".');
+    }
+    return new this(injector, Object.assign({}, options, {publicKeyHex}));
+  }
+
+  getPublicKeyMaterial() {
+    return {publicKeyHex: this.publicKeyHex};
+  }
+
+  getPrivateKeyMaterial() {
+    if(this._privateKeyHex === undefined) {
+      return {};
+    }
+    return {privateKeyHex: this._privateKeyHex};
+  }
+
+  getMulticodecPublicKey() {
+    const forge = this.injector.use('forge');
+    return this.constructor.multicodec +
+      forge.util.hexToBytes(this.publicKeyHex);
+  }
+
+  static _getCurve(injector) {
+    return keyEncoding.getCurve(this.curve, {injector});
+  }
+};
@@ -0,0 +1,14 @@
+/*
+ * Copyright (c) 2018 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+// registered proof purposes by term (as compacted via the security-v2
+// context); applications may add their own `ProofPurpose` subclasses
+module.exports = {
+  assertionMethod: require('./purposes/AssertionMethodProofPurpose'),
+  authentication: require('./purposes/AuthenticationProofPurpose'),
+  capabilityInvocation: require(
+    './purposes/CapabilityInvocationProofPurpose'),
+  publicKey: require('./purposes/PublicKeyProofPurpose')
+};
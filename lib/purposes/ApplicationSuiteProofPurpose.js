@@ -0,0 +1,28 @@
+/*
+ * Copyright (c) 2018 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const ProofPurpose = require('./ProofPurpose');
+
+/**
+ * Used for proof purposes that are not registered. For backwards
+ * compatibility, the owner's property named by the purpose holds application
+ * suites, each of which references the authorized keys via `publicKey`.
+ */
+module.exports = class ApplicationSuiteProofPurpose extends ProofPurpose {
+  getOwnerFrame() {
+    return {
+      [this.term]: {
+        '@embed': '@always',
+        publicKey: {'@embed': '@never'}
+      }
+    };
+  }
+
+  getAuthorizedKeys(owner) {
+    const jsonld = this.injector.use('jsonld');
+    return jsonld.getValues(owner, this.term)
+      .map(appSuite => appSuite.publicKey);
+  }
+};
@@ -0,0 +1,12 @@
+/*
+ * Copyright (c) 2018 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const ProofPurpose = require('./ProofPurpose');
+
+module.exports = class AssertionMethodProofPurpose extends ProofPurpose {
+  constructor(injector, term = 'assertionMethod') {
+    super(injector, term);
+  }
+};
@@ -0,0 +1,41 @@
+/*
+ * Copyright (c) 2018 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const ProofPurpose = require('./ProofPurpose');
+const errors = require('../errors');
+
+/**
+ * Authentication proofs must include the `challenge` given by the verifier
+ * to prevent them from being replayed.
+ */
+module.exports = class AuthenticationProofPurpose extends ProofPurpose {
+  constructor(injector, term = 'authentication') {
+    super(injector, term);
+  }
+
+  async updateProof(proof, options) {
+    proof = await super.updateProof(proof, options);
+    if(options.challenge !== undefined) {
+      proof.challenge = options.challenge;
+    }
+    if(typeof proof.challenge !== 'string') {
+      throw new TypeError(
+        '"options.challenge" must be a string for an ' +
+        `"${this.term}" proof.`);
+    }
+    return proof;
+  }
+
+  async validate(proof, options) {
+    if(typeof options.challenge !== 'string') {
+      throw new TypeError(
+        '"options.challenge" must be a string to verify an ' +
+        `"${this.term}" proof.`);
+    }
+    if(proof.challenge !== options.challenge) {
+      throw new errors.ProofPurposeError('The challenge is invalid.');
+    }
+  }
+};
@@ -0,0 +1,40 @@
+/*
+ * Copyright (c) 2018 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const ProofPurpose = require('./ProofPurpose');
+const errors = require('../errors');
+
+/**
+ * Capability invocation proofs must identify the invoked `capability`.
+ */
+module.exports = class CapabilityInvocationProofPurpose extends ProofPurpose {
+  constructor(injector, term = 'capabilityInvocation') {
+    super(injector, term);
+  }
+
+  async updateProof(proof, options) {
+    proof = await super.updateProof(proof, options);
+    if(options.capability !== undefined) {
+      proof.capability = options.capability;
+    }
+    if(typeof proof.capability !== 'string') {
+      throw new TypeError(
+        '"options.capability" must be a URL string for a ' +
+        `"${this.term}" proof.`);
+    }
+    return proof;
+  }
+
+  async validate(proof, options) {
+    if(typeof proof.capability !== 'string') {
+      throw new errors.ProofPurposeError(
+        'The proof does not identify a "capability".');
+    }
+    if(options.capability !== undefined &&
+      proof.capability !== options.capability) {
+      throw new errors.ProofPurposeError('The capability is invalid.');
+    }
+  }
+};
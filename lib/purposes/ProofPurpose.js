@@ -0,0 +1,66 @@
+/*
+ * Copyright (c) 2018 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+/**
+ * Base class for proof purposes. A proof purpose is identified by its term
+ * (as compacted via the security-v2 context) and defines which keys a key
+ * owner (controller) authorizes for it and which extra fields a proof made
+ * for it must include.
+ *
+ * By default, the keys a key owner authorizes are referenced directly from
+ * the property of the owner named by the term.
+ */
+module.exports = class ProofPurpose {
+  constructor(injector, term) {
+    this.injector = injector;
+    this.term = term;
+  }
+
+  /**
+   * Updates a new proof for this purpose, e.g. by setting `proofPurpose` and
+   * any extra fields from the signing options; throws if a required option
+   * is missing.
+   *
+   * @param proof the proof node, compacted via the security-v2 context.
+   * @param options the signing options.
+   *
+   * @return a Promise that resolves to the updated proof.
+   */
+  async updateProof(proof, options) {
+    proof.proofPurpose = this.term;
+    return proof;
+  }
+
+  /**
+   * Ensures a proof meets the requirements of this purpose; throws if it
+   * does not.
+   *
+   * @param proof the proof node, compacted via the security-v2 context.
+   * @param options the verification options.
+   */
+  async validate(proof, options) {}
+
+  /**
+   * Gets the frame properties used to frame key owners so that the keys
+   * they authorize for this purpose can be read via `getAuthorizedKeys`.
+   *
+   * @return the frame properties.
+   */
+  getOwnerFrame() {
+    return {[this.term]: {'@embed': '@never'}};
+  }
+
+  /**
+   * Gets the keys a framed key owner authorizes for this purpose.
+   *
+   * @param owner the framed key owner.
+   *
+   * @return the keys, as IDs or objects with an `id`.
+   */
+  getAuthorizedKeys(owner) {
+    const jsonld = this.injector.use('jsonld');
+    return jsonld.getValues(owner, this.term);
+  }
+};
@@ -0,0 +1,35 @@
+/*
+ * Copyright (c) 2018 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const ProofPurpose = require('./ProofPurpose');
+
+/**
+ * The purpose of proofs that do not specify a `proofPurpose`: the key need
+ * only be listed as one of its owner's `publicKey`s (or, in a DID document,
+ * `verificationMethod`s).
+ */
+module.exports = class PublicKeyProofPurpose extends ProofPurpose {
+  constructor(injector, term = 'publicKey') {
+    super(injector, term);
+  }
+
+  async updateProof(proof, options) {
+    // the default purpose is expressed by omitting `proofPurpose`
+    return proof;
+  }
+
+  getOwnerFrame() {
+    return {
+      publicKey: {'@embed': '@never'},
+      verificationMethod: {'@embed': '@never'}
+    };
+  }
+
+  getAuthorizedKeys(owner) {
+    const jsonld = this.injector.use('jsonld');
+    return jsonld.getValues(owner, 'publicKey').concat(
+      jsonld.getValues(owner, 'verificationMethod'));
+  }
+};
@@ -4,42 +4,66 @@
 'use strict';
 
 const LinkedDataSignature2015 = require('./LinkedDataSignature2015');
+const errors = require('../errors');
+const util = require('../util');
 
 module.exports = class EcdsaKoblitzSignature2016
   extends LinkedDataSignature2015 {
   constructor(injector, algorithm = 'EcdsaKoblitzSignature2016') {
     super(injector, algorithm);
+    // Bitcoin message signatures have no JWA name
+    this.alg = null;
+    this.keyAlgorithm = 'secp256k1';
+    this.publicKeyEncoding = 'publicKeyWif';
+    this.privateKeyEncoding = 'privateKeyWif';
   }
 
-  async createSignatureValue(verifyData, options) {
+  async createSigner(options) {
     if(typeof options.privateKeyWif !== 'string') {
       throw new TypeError(
         '"options.privateKeyWif" must be a base 58 formatted string.');
     }
 
-    const bitcoreMessage = this.injector.use('bitcoreMessage');
-    const bitcore = bitcoreMessage.Bitcore;
-    const privateKey = bitcore.PrivateKey.fromWIF(options.privateKeyWif);
-    const message = bitcoreMessage(verifyData.data);
-    return message.sign(privateKey);
+    const {injector} = this;
+    return {
+      async sign({data}) {
+        const bitcoreMessage = injector.use('bitcoreMessage');
+        const forge = injector.use('forge');
+        const bitcore = bitcoreMessage.Bitcore;
+        const privateKey = bitcore.PrivateKey.fromWIF(options.privateKeyWif);
+        // message is the UTF-8 verify data
+        const message = bitcoreMessage(
+          forge.util.decodeUtf8(util.bytesToBinary(data)));
+        return util.binaryToBytes(
+          forge.util.decode64(message.sign(privateKey)));
+      }
+    };
   }
 
-  async verifyProofNode(verifyData, proof, options) {
-    const bitcoreMessage = this.injector.use('bitcoreMessage');
-    const message = bitcoreMessage(verifyData.data);
-    return message.verify(
-      options.publicKey.publicKeyWif, proof.signatureValue);
+  async createVerifier(key, options) {
+    const {publicKeyWif} = key;
+    const {injector} = this;
+    return {
+      async verify({data, signature}) {
+        const bitcoreMessage = injector.use('bitcoreMessage');
+        const forge = injector.use('forge');
+        const message = bitcoreMessage(
+          forge.util.decodeUtf8(util.bytesToBinary(data)));
+        return message.verify(
+          publicKeyWif, forge.util.encode64(util.bytesToBinary(signature)));
+      }
+    };
   }
 
   async validateKey(key, options) {
     if(typeof key.publicKeyWif !== 'string') {
-      throw new TypeError(
+      throw new errors.InvalidKeyError(
         'Unknown public key encoding. Public key encoding must be ' +
         '"publicKeyWif".');
     }
     const jsonld = this.injector.use('jsonld');
     if(!jsonld.hasValue(key, 'type', 'CryptographicKey')) {
-      throw new TypeError(
+      throw new errors.InvalidKeyError(
         'Invalid key type. Key type must be "CryptographicKey".');
     }
   }
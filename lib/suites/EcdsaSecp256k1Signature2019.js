@@ -0,0 +1,117 @@
+/**
+ * Copyright (c) 2018 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const JwsLinkedDataSignature = require('./JwsLinkedDataSignature');
+const errors = require('../errors');
+const keyEncoding = require('../keyEncoding');
+const util = require('../util');
+
+module.exports = class EcdsaSecp256k1Signature2019
+  extends JwsLinkedDataSignature {
+  constructor(injector, algorithm = 'EcdsaSecp256k1Signature2019') {
+    super(injector, algorithm, 'ES256K');
+    this.requiredKeyType = 'EcdsaSecp256k1VerificationKey2019';
+    // name of the curve in `elliptic` (and key algorithm in `keyEncoding`)
+    this.curve = 'secp256k1';
+    // digest algorithm (a `forge.md` name) and curve size in bytes
+    this.digest = 'sha256';
+    this.keySize = 32;
+  }
+
+  get keyAlgorithm() {
+    return this.curve;
+  }
+
+  get publicKeyEncoding() {
+    return 'publicKeyHex';
+  }
+
+  get privateKeyEncoding() {
+    return 'privateKeyHex';
+  }
+
+  async createSigner(options) {
+    const forge = this.injector.use('forge');
+    const decoded = keyEncoding.decodePrivateKey(
+      options, {injector: this.injector, keyAlgorithm: this.keyAlgorithm});
+    if(!decoded) {
+      throw new TypeError(
+        '"options.privateKeyHex" must be a hex string or ' +
+        '"options.privateKeyJwk" must be a JWK.');
+    }
+    const key = this._getCurve().keyFromPrivate(
+      forge.util.bytesToHex(decoded.privateKey), 'hex');
+    const {keySize} = this;
+    const hash = this._hash.bind(this);
+    return {
+      algorithm: this.alg,
+      async sign({data}) {
+        // use low-S (canonical) signatures to avoid malleability
+        const signature = key.sign(
+          hash(util.bytesToBinary(data)), {canonical: true});
+
+        // JWS uses the fixed-length R || S form, not DER
+        const bytes = new Uint8Array(keySize * 2);
+        bytes.set(signature.r.toArray('be', keySize));
+        bytes.set(signature.s.toArray('be', keySize), keySize);
+        return bytes;
+      }
+    };
+  }
+
+  async createVerifier(key, options) {
+    const forge = this.injector.use('forge');
+    const publicKey = this._getCurve().keyFromPublic(
+      forge.util.bytesToHex(this._decodePublicKey(key)), 'hex');
+    const {keySize} = this;
+    const hash = this._hash.bind(this);
+    return {
+      async verify({data, signature}) {
+        if(signature.length !== keySize * 2) {
+          return false;
+        }
+        signature = util.bytesToBinary(signature);
+        return publicKey.verify(hash(util.bytesToBinary(data)), {
+          r: forge.util.bytesToHex(signature.substr(0, keySize)),
+          s: forge.util.bytesToHex(signature.substr(keySize))
+        });
+      }
+    };
+  }
+
+  async validateKey(key, options) {
+    // ensure the key, in any supported encoding, is a point on this curve
+    this._decodePublicKey(key);
+    const jsonld = this.injector.use('jsonld');
+    if(!jsonld.hasValue(key, 'type', this.requiredKeyType)) {
+      throw new errors.InvalidKeyError(
+        `Invalid key type. Key type must be "${this.requiredKeyType}".`);
+    }
+  }
+
+  _getCurve() {
+    return keyEncoding.getCurve(this.curve, {injector: this.injector});
+  }
+
+  // returns the hex-encoded digest of a binary string
+  _hash(data) {
+    const forge = this.injector.use('forge');
+    const md = forge.md[this.digest].create();
+    md.update(data, 'raw');
+    return md.digest().toHex();
+  }
+
+  // decodes the public key in a key document to a compressed point
+  _decodePublicKey(key) {
+    const decoded = keyEncoding.decodePublicKey(
+      key, {injector: this.injector, keyAlgorithm: this.keyAlgorithm});
+    if(!decoded) {
+      throw new errors.InvalidKeyError(
+        'Unknown public key encoding. Public key encoding must be ' +
+        '"publicKeyHex", "publicKeyJwk" or another supported encoding.');
+    }
+    return decoded.publicKey;
+  }
+};
@@ -0,0 +1,18 @@
+/**
+ * Copyright (c) 2018 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const EcdsaSecp256k1Signature2019 = require('./EcdsaSecp256k1Signature2019');
+
+module.exports = class EcdsaSecp256r1Signature2019
+  extends EcdsaSecp256k1Signature2019 {
+  constructor(injector, algorithm = 'EcdsaSecp256r1Signature2019') {
+    super(injector, algorithm);
+    this.alg = 'ES256';
+    this.requiredKeyType = 'EcdsaSecp256r1VerificationKey2019';
+    this.curve = 'p256';
+    this.digest = 'sha256';
+    this.keySize = 32;
+  }
+};
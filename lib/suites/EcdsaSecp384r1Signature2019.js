@@ -0,0 +1,18 @@
+/**
+ * Copyright (c) 2018 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const EcdsaSecp256k1Signature2019 = require('./EcdsaSecp256k1Signature2019');
+
+module.exports = class EcdsaSecp384r1Signature2019
+  extends EcdsaSecp256k1Signature2019 {
+  constructor(injector, algorithm = 'EcdsaSecp384r1Signature2019') {
+    super(injector, algorithm);
+    this.alg = 'ES384';
+    this.requiredKeyType = 'EcdsaSecp384r1VerificationKey2019';
+    this.curve = 'p384';
+    this.digest = 'sha384';
+    this.keySize = 48;
+  }
+};
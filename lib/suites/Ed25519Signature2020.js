@@ -0,0 +1,98 @@
+/**
+ * Copyright (c) 2018 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const Ed25519Signature2018 = require('./Ed25519Signature2018');
+const errors = require('../errors');
+const keyEncoding = require('../keyEncoding');
+const util = require('../util');
+
+const MULTIBASE_TYPE = 'https://w3id.org/security#multibase';
+
+module.exports = class Ed25519Signature2020 extends Ed25519Signature2018 {
+  constructor(injector, algorithm = 'Ed25519Signature2020') {
+    super(injector, algorithm);
+    this.requiredKeyType = 'Ed25519VerificationKey2020';
+    this.publicKeyEncoding = 'publicKeyMultibase';
+  }
+
+  async createProofNode(verifyData, options) {
+    const proof = options.proof;
+    // `proofValue` is typed as multibase in the Ed25519Signature2020 context
+    proof.proofValue = {
+      '@type': MULTIBASE_TYPE,
+      '@value': await this.createSignatureValue(verifyData, options)
+    };
+    return proof;
+  }
+
+  async createSignatureValue(verifyData, options) {
+    const forge = this.injector.use('forge');
+    // sign the verify data directly, there is no JWS header
+    const signature = await this.signVerifyData(verifyData, options);
+    return util.encodeMultibase(signature, {forge});
+  }
+
+  async verifyProofNode(verifyData, proof, options) {
+    const forge = this.injector.use('forge');
+
+    let {proofValue} = proof;
+    if(proofValue && typeof proofValue === 'object') {
+      proofValue = proofValue['@value'];
+    }
+    let signature;
+    try {
+      signature = util.decodeMultibase(proofValue, {forge});
+    } catch(e) {
+      throw new errors.InvalidProofError(
+        'The proof does not include a valid "proofValue" property.');
+    }
+    if(signature.length !== 64) {
+      throw new errors.InvalidSignatureError(
+        'Invalid Ed25519 signature length.');
+    }
+
+    return this.verifySignature({data: verifyData.data, signature}, options);
+  }
+
+  async createVerifier(key, options) {
+    const forge = this.injector.use('forge');
+    const publicKey = this.getRawPublicKey(key);
+    return super.createVerifier(
+      {publicKeyBase58: util.encodeBase58(publicKey, {forge})}, options);
+  }
+
+  async validateKey(key, options) {
+    if(typeof key.publicKeyMultibase !== 'string') {
+      throw new errors.InvalidKeyError(
+        'Unknown public key encoding. Public key encoding must be ' +
+        '"publicKeyMultibase".');
+    }
+    const jsonld = this.injector.use('jsonld');
+    if(!jsonld.hasValue(key, 'type', this.requiredKeyType)) {
+      throw new errors.InvalidKeyError(
+        `Invalid key type. Key type must be "${this.requiredKeyType}".`);
+    }
+    // ensure key decodes
+    this.getRawPublicKey(key);
+  }
+
+  /**
+   * Decodes the raw 32 byte Ed25519 public key from a key's
+   * `publicKeyMultibase`, which is expected to be multicodec-prefixed.
+   *
+   * @param key the public key document.
+   *
+   * @return the raw public key as a binary string.
+   */
+  getRawPublicKey(key) {
+    if(typeof key.publicKeyMultibase !== 'string') {
+      throw new errors.InvalidKeyError(
+        '"publicKeyMultibase" must be a multicodec Ed25519 public key.');
+    }
+    return keyEncoding.decodePublicKey(
+      {publicKeyMultibase: key.publicKeyMultibase},
+      {injector: this.injector, keyAlgorithm: 'ed25519'}).publicKey;
+  }
+};
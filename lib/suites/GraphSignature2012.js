@@ -4,6 +4,7 @@
 'use strict';
 
 const constants = require('../constants');
+const errors = require('../errors');
 const LinkedDataSignature2015 = require('./LinkedDataSignature2015');
 
 module.exports = class GraphSignature2012 extends LinkedDataSignature2015 {
@@ -35,7 +36,7 @@ module.exports = class GraphSignature2012 extends LinkedDataSignature2015 {
       opts.documentLoader = options.documentLoader;
     }
     const compacted = await jsonld.compact(
-      input, constants.SECURITY_CONTEXT_URL, opts);
+      input, constants.SECURITY_CONTEXT, opts);
 
     // TODO: will need to preserve `signature` when chained signature
     // option is set in the future
@@ -62,13 +63,13 @@ module.exports = class GraphSignature2012 extends LinkedDataSignature2015 {
 
   async validateKey(key, options) {
     if(typeof key.publicKeyPem !== 'string') {
-      throw new TypeError(
+      throw new errors.InvalidKeyError(
         'Unknown public key encoding. Public key encoding must be ' +
         '"publicKeyPem".');
     }
     const jsonld = this.injector.use('jsonld');
     if(!jsonld.hasValue(key, 'type', 'CryptographicKey')) {
-      throw new TypeError(
+      throw new errors.InvalidKeyError(
         'Invalid key type. Key type must be "CryptographicKey".');
     }
   }
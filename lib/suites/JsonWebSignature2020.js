@@ -0,0 +1,136 @@
+/**
+ * Copyright (c) 2018 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const JwsLinkedDataSignature = require('./JwsLinkedDataSignature');
+const EcdsaSecp256k1Signature2019 = require('./EcdsaSecp256k1Signature2019');
+const EcdsaSecp256r1Signature2019 = require('./EcdsaSecp256r1Signature2019');
+const EcdsaSecp384r1Signature2019 = require('./EcdsaSecp384r1Signature2019');
+const Ed25519Signature2018 = require('./Ed25519Signature2018');
+const RsaSignature2018 = require('./RsaSignature2018');
+const errors = require('../errors');
+const keyEncoding = require('../keyEncoding');
+
+// JWS algorithms a `signer` may use with this suite
+const JWS_ALGORITHMS = ['EdDSA', 'ES256', 'ES256K', 'ES384', 'PS256'];
+
+// the suites that implement the crypto for each key algorithm
+const SUITES = {
+  ed25519: Ed25519Signature2018,
+  secp256k1: EcdsaSecp256k1Signature2019,
+  p256: EcdsaSecp256r1Signature2019,
+  p384: EcdsaSecp384r1Signature2019,
+  rsa: RsaSignature2018
+};
+
+module.exports = class JsonWebSignature2020 extends JwsLinkedDataSignature {
+  constructor(injector, algorithm = 'JsonWebSignature2020') {
+    // `alg` is determined per key, see `getJwkAlgorithm`
+    super(injector, algorithm, null);
+    this.requiredKeyType = 'JsonWebKey2020';
+    // the key algorithm is determined per key
+    this.publicKeyEncoding = 'publicKeyJwk';
+    this.privateKeyEncoding = 'privateKeyJwk';
+  }
+
+  /**
+   * Gets the JWS `alg` to use with the given JWK based on its `kty` and
+   * `crv`.
+   *
+   * @param jwk the public or private JWK.
+   *
+   * @return the JWS `alg`.
+   */
+  getJwkAlgorithm(jwk) {
+    return this._getJwkSuite({publicKeyJwk: jwk}).alg;
+  }
+
+  createJwsHeader(options) {
+    return {
+      alg: options.signer.algorithm,
+      b64: false,
+      crit: ['b64']
+    };
+  }
+
+  checkJwsHeader(header, options) {
+    // the `alg` must match the one implied by the verification key
+    const alg = this.getJwkAlgorithm(options.publicKey.publicKeyJwk);
+    if(!(header.alg === alg && header.b64 === false &&
+      Array.isArray(header.crit) && header.crit.length === 1 &&
+      header.crit[0] === 'b64' && Object.keys(header).length === 3)) {
+      throw new errors.InvalidJwsHeaderError(
+        `Invalid JWS header parameters for ${this.algorithm}.`);
+    }
+  }
+
+  async createSigner(options) {
+    const jwk = this._getPrivateKeyJwk(options);
+    const suite = this._getJwkSuite({publicKeyJwk: jwk});
+    const signer = await suite.createSigner(Object.assign({}, options, {
+      [suite.privateKeyEncoding]: keyEncoding.convertPrivateKey(
+        {privateKeyJwk: jwk}, suite.privateKeyEncoding,
+        {injector: this.injector})
+    }));
+    signer.algorithm = suite.alg;
+    return signer;
+  }
+
+  checkSigner(signer, options) {
+    super.checkSigner(signer, options);
+    if(JWS_ALGORITHMS.indexOf(signer.algorithm) === -1) {
+      throw new errors.UnsupportedAlgorithmError(
+        '"options.signer.algorithm" must be one of: ' +
+        JSON.stringify(JWS_ALGORITHMS));
+    }
+  }
+
+  async createVerifier(key, options) {
+    const keyData = {publicKeyJwk: key.publicKeyJwk};
+    const suite = this._getJwkSuite(keyData);
+    return suite.createVerifier({
+      [suite.publicKeyEncoding]: keyEncoding.convertPublicKey(
+        keyData, suite.publicKeyEncoding, {injector: this.injector})
+    }, options);
+  }
+
+  async validateKey(key, options) {
+    if(!(key.publicKeyJwk && typeof key.publicKeyJwk === 'object')) {
+      throw new errors.InvalidKeyError(
+        'Unknown public key encoding. Public key encoding must be ' +
+        '"publicKeyJwk".');
+    }
+    if('d' in key.publicKeyJwk) {
+      throw new errors.InvalidKeyError(
+        '"publicKeyJwk" must not contain private key data.');
+    }
+    const jsonld = this.injector.use('jsonld');
+    if(!jsonld.hasValue(key, 'type', this.requiredKeyType)) {
+      throw new errors.InvalidKeyError(
+        `Invalid key type. Key type must be "${this.requiredKeyType}".`);
+    }
+    // ensure the key is valid and its key algorithm is supported
+    this._getJwkSuite({publicKeyJwk: key.publicKeyJwk});
+  }
+
+  _getPrivateKeyJwk(options) {
+    const jwk = options.privateKeyJwk;
+    if(!(jwk && typeof jwk === 'object' && typeof jwk.d === 'string')) {
+      throw new TypeError(
+        '"options.privateKeyJwk" must be a JWK that includes "d".');
+    }
+    return jwk;
+  }
+
+  // gets the suite that implements the crypto for a JWK, decoding it to
+  // determine its key algorithm
+  _getJwkSuite(keyData) {
+    const decoded = keyEncoding.decodePublicKey(
+      keyData, {injector: this.injector});
+    if(!decoded) {
+      throw new errors.InvalidKeyError('"publicKeyJwk" must be a JWK.');
+    }
+    return new SUITES[decoded.keyAlgorithm](this.injector);
+  }
+};
@@ -0,0 +1,132 @@
+/**
+ * Copyright (c) 2018 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const LinkedDataSignature = require('./LinkedDataSignature');
+const errors = require('../errors');
+const util = require('../util');
+
+/**
+ * Base class for suites that express their signature value as a detached
+ * JWS (RFC 7515 w/RFC 7797 unencoded payload) in `proof.jws`.
+ *
+ * Derived classes must set `this.alg` and implement `createSigner` and
+ * `createVerifier`.
+ */
+module.exports = class JwsLinkedDataSignature extends LinkedDataSignature {
+  constructor(injector, algorithm, alg) {
+    super(injector, algorithm);
+    this.alg = alg;
+  }
+
+  async createSignatureValue(verifyData, options) {
+    const forge = this.injector.use('forge');
+
+    // JWS header
+    const header = this.createJwsHeader(options);
+
+    /*
+    +-------+-----------------------------------------------------------+
+    | "b64" | JWS Signing Input Formula                                 |
+    +-------+-----------------------------------------------------------+
+    | true  | ASCII(BASE64URL(UTF8(JWS Protected Header)) || '.' ||     |
+    |       | BASE64URL(JWS Payload))                                   |
+    |       |                                                           |
+    | false | ASCII(BASE64URL(UTF8(JWS Protected Header)) || '.') ||    |
+    |       | JWS Payload                                               |
+    +-------+-----------------------------------------------------------+
+    */
+
+    const encodedHeader = util.encodeBase64Url(
+      JSON.stringify(header), {forge});
+
+    // build signing input per above comment
+    const data = this._createJwsSigningInput(encodedHeader, verifyData);
+    const signature = await this.signVerifyData(
+      {data, encoding: 'binary'}, options);
+
+    // create detached content signature
+    return encodedHeader + '..' + util.encodeBase64Url(signature, {forge});
+  }
+
+  async verifyProofNode(verifyData, proof, options) {
+    const forge = this.injector.use('forge');
+
+    if(typeof proof.jws !== 'string') {
+      throw new errors.InvalidProofError(
+        'The proof does not include a valid "jws" property.');
+    }
+
+    // add payload into detached content signature
+    const [encodedHeader, payload, encodedSignature] = proof.jws.split('.');
+
+    let header;
+    try {
+      header = JSON.parse(util.decodeBase64Url(encodedHeader, {forge}));
+    } catch(e) {
+      throw new errors.InvalidJwsHeaderError('Invalid JWS header.');
+    }
+    if(!(header && typeof header === 'object')) {
+      throw new errors.InvalidJwsHeaderError('Invalid JWS header.');
+    }
+    if(payload !== '') {
+      throw new errors.InvalidJwsHeaderError(
+        'Invalid JWS; the JWS payload must be detached.');
+    }
+
+    // confirm header matches all expectations
+    this.checkJwsHeader(header, options);
+
+    // rebuild signing input per JWS spec
+    const data = this._createJwsSigningInput(encodedHeader, verifyData);
+    let signature;
+    try {
+      signature = util.decodeBase64Url(encodedSignature, {forge});
+    } catch(e) {
+      throw new errors.InvalidProofError(
+        'The proof does not include a valid "jws" signature.');
+    }
+    return this.verifySignature({data, signature}, options);
+  }
+
+  /**
+   * Creates the JWS protected header to use for a new signature.
+   *
+   * @param options the signing options.
+   *
+   * @return the JWS header.
+   */
+  createJwsHeader(options) {
+    return {
+      alg: this.alg,
+      b64: false,
+      crit: ['b64']
+    };
+  }
+
+  /**
+   * Ensures a JWS protected header matches what this suite produces; throws
+   * if it does not.
+   *
+   * @param header the decoded JWS header.
+   * @param options the verification options.
+   */
+  checkJwsHeader(header, options) {
+    if(!(header.alg === this.alg && header.b64 === false &&
+      Array.isArray(header.crit) && header.crit.length === 1 &&
+      header.crit[0] === 'b64' && Object.keys(header).length === 3)) {
+      throw new errors.InvalidJwsHeaderError(
+        `Invalid JWS header parameters for ${this.algorithm}.`);
+    }
+  }
+
+  _createJwsSigningInput(encodedHeader, verifyData) {
+    let payload = verifyData.data;
+    if(verifyData.encoding === 'utf8') {
+      const forge = this.injector.use('forge');
+      payload = forge.util.encodeUtf8(payload);
+    }
+    return encodedHeader + '.' + payload;
+  }
+};
@@ -4,8 +4,15 @@
 'use strict';
 
 const constants = require('../constants');
+const errors = require('../errors');
+const keyEncoding = require('../keyEncoding');
 const util = require('../util');
+const validityWindow = require('../validityWindow');
 const Helper = require('../Helper');
+const ProofChecks = require('../ProofChecks');
+
+// the proof properties that may identify the key a proof was created with
+const PROOF_KEY_PROPERTIES = ['creator', 'verificationMethod'];
 
 // TODO: reorganize this class further and make it more obvious which
 // methods need to be extended in proof plugins
@@ -44,13 +51,16 @@ module.exports = class LinkedDataSignature {
       opts.documentLoader = options.documentLoader;
     }
     const compacted = await jsonld.compact(
-      input, constants.SECURITY_CONTEXT_URL, opts);
-
-    // TODO: will need to preserve `proof` when chained signature
-    // option is used and implemented in the future
+      input, constants.SECURITY_CONTEXT, opts);
 
-    // delete the existing proofs(s) prior to canonicalization
+    // delete the existing proofs(s) prior to canonicalization, except for
+    // those a chained proof was created over
+    const previousProofs = this._getPreviousProofs(
+      compacted, options.proof, options);
     delete compacted.proof;
+    if(previousProofs.length > 0) {
+      compacted.proof = previousProofs;
+    }
 
     // ensure signature values are removed from proof node
     const proof = await this.sanitizeProofNode(options.proof, options);
@@ -83,18 +93,68 @@ module.exports = class LinkedDataSignature {
     if(options.creator !== undefined && typeof options.creator !== 'string') {
       throw new TypeError('"options.creator" must be a URL string.');
     }
+    if(options.verificationMethod !== undefined) {
+      if(typeof options.verificationMethod !== 'string') {
+        throw new TypeError(
+          '"options.verificationMethod" must be a URL string.');
+      }
+      if(options.creator !== undefined) {
+        throw new TypeError(
+          'Only one of "options.creator" and "options.verificationMethod" ' +
+          'may be given.');
+      }
+    }
+    if(options.proofKeyProperty !== undefined &&
+      PROOF_KEY_PROPERTIES.indexOf(options.proofKeyProperty) === -1) {
+      throw new TypeError(
+        '"options.proofKeyProperty" must be one of: ' +
+        JSON.stringify(PROOF_KEY_PROPERTIES));
+    }
     if(options.domain !== undefined && typeof options.domain !== 'string') {
       throw new TypeError('"options.domain" must be a string.');
     }
     if(options.nonce !== undefined && typeof options.nonce !== 'string') {
       throw new TypeError('"options.nonce" must be a string.');
     }
+    if(options.chain !== undefined && typeof options.chain !== 'boolean') {
+      throw new TypeError('"options.chain" must be a boolean.');
+    }
+    if(options.id !== undefined && typeof options.id !== 'string') {
+      throw new TypeError('"options.id" must be a URL string.');
+    }
+    if(options.detached !== undefined &&
+      typeof options.detached !== 'boolean') {
+      throw new TypeError('"options.detached" must be a boolean.');
+    }
+    if(options.proofPurpose !== undefined &&
+      typeof options.proofPurpose !== 'string') {
+      throw new TypeError('"options.proofPurpose" must be a string.');
+    }
+
+    // use the given signer or adapt raw private key material into one
+    if(options.signer !== undefined) {
+      this.checkSigner(options.signer, options);
+    } else {
+      options = await this.normalizePrivateKey(options);
+      options.signer = await this.createSigner(options);
+    }
+    // the key may be identified via either vocabulary; `proofKeyProperty`
+    // chooses which one the new proof uses
+    if(options.verificationMethod !== undefined) {
+      options.creator = options.verificationMethod;
+      if(options.proofKeyProperty === undefined) {
+        options.proofKeyProperty = 'verificationMethod';
+      }
+    }
+    if(options.creator === undefined && options.signer.id !== undefined) {
+      options.creator = options.signer.id;
+    }
 
     // disallow dropping properties when expanding by default
     if(options.expansionMap !== false) {
       options.expansionMap = info => {
         if(info.unmappedProperty) {
-          throw new Error('The property "' +
+          throw new errors.InvalidInputError('The property "' +
              info.unmappedProperty + '" in the input ' +
             'was not defined in the context.');
         }
@@ -111,20 +171,19 @@ module.exports = class LinkedDataSignature {
         opts.documentLoader = options.documentLoader;
       }
       proof = await jsonld.compact(
-        options.proof, constants.SECURITY_CONTEXT_URL, opts);
+        options.proof, constants.SECURITY_CONTEXT, opts);
     } else {
       // create proof JSON-LD document
-      proof = {'@context': constants.SECURITY_CONTEXT_URL};
+      proof = {'@context': constants.SECURITY_CONTEXT};
     }
 
     // set default `now` date if not given in `proof` or `options`
     if(proof.created === undefined && options.date === undefined) {
-      options.date = new Date();
+      options.date = new Date(util.getTime(options));
     }
 
-    // ensure date is in string format
-    if(options.date !== undefined && typeof options.date !== 'string') {
-      // TODO: parse non-string date and force to w3c format?
+    // ensure date is in W3C datetime format
+    if(options.date !== undefined) {
       options.date = util.w3cDate(options.date);
     }
 
@@ -136,7 +195,7 @@ module.exports = class LinkedDataSignature {
       proof.created = options.date;
     }
     if(options.creator !== undefined) {
-      proof.creator = options.creator;
+      proof[options.proofKeyProperty || 'creator'] = options.creator;
     }
     if(options.domain !== undefined) {
       proof.domain = options.domain;
@@ -144,18 +203,197 @@ module.exports = class LinkedDataSignature {
     if(options.nonce !== undefined) {
       proof.nonce = options.nonce;
     }
+    if(options.expires !== undefined) {
+      proof.expires = util.w3cDate(options.expires);
+      const expires = validityWindow.parseDateTime(proof.expires);
+      const created = validityWindow.parseDateTime(proof.created);
+      if(expires === null) {
+        throw new TypeError('"options.expires" must be a date.');
+      }
+      if(created === null) {
+        throw new TypeError(
+          'The proof\'s "created" date must be an ISO 8601 date and time.');
+      }
+      if(expires <= created) {
+        throw new TypeError(
+          '"options.expires" must be after the date the proof is created.');
+      }
+    }
+    if(options.proofPurpose !== undefined) {
+      proof.proofPurpose = options.proofPurpose;
+    }
+
+    // add any fields required by the proof purpose
+    proof = await this.helper.getProofPurpose(proof).updateProof(
+      proof, options);
+    // sign an embedded node instead of the top-level object if requested
+    let node = input;
+    if(options.id !== undefined) {
+      node = await this.getEmbeddedNode(input, options.id, options);
+    }
+
+    if(options.chain) {
+      // the new proof covers every proof already on the node
+      proof.previousProof = await this._getProofIds(node, options);
+    }
 
     // produce data to sign
     options.proof = proof;
-    const verifyData = await this.createVerifyData(input, options);
+    const verifyData = await this.createVerifyData(node, options);
 
     // create proof node
     const proofNode = await this.createProofNode(verifyData, options);
 
+    // return the proof node without modifying the input
+    if(options.detached) {
+      return proofNode;
+    }
+
     // attach proof node
     return this.attachProofNode(input, proofNode, options);
   }
 
+  /**
+   * Gets the node with the given ID from the input, which may be the
+   * top-level object or any node embedded in it, as a standalone document
+   * compacted to the security context.
+   *
+   * @param input the JSON-LD document.
+   * @param id the ID of the node.
+   * @param options the options to use.
+   *
+   * @return a Promise that resolves to the node.
+   */
+  async getEmbeddedNode(input, id, options) {
+    const jsonld = this.injector.use('jsonld');
+    const opts = {expansionMap: options.expansionMap};
+    if(options.documentLoader) {
+      opts.documentLoader = options.documentLoader;
+    }
+    const compacted = await jsonld.compact(
+      input, constants.SECURITY_CONTEXT, opts);
+    const node = util.findNode(compacted, id);
+    if(!node) {
+      throw new errors.InvalidInputError(
+        `The node "${id}" was not found in the input.`);
+    }
+    return Object.assign(
+      {}, util.deepClone(node), {'@context': constants.SECURITY_CONTEXT});
+  }
+
+  /**
+   * Adds the private key in the signing options in the encoding this suite's
+   * `createSigner` expects (`privateKeyEncoding`, e.g. `privateKeyPem`) if
+   * it is only given in another encoding (e.g. `privateKeyJwk`).
+   *
+   * @param options the signing options.
+   *
+   * @return a Promise that resolves to the signing options.
+   */
+  async normalizePrivateKey(options) {
+    if(!this.privateKeyEncoding) {
+      return options;
+    }
+    const privateKey = keyEncoding.convertPrivateKey(
+      options, this.privateKeyEncoding,
+      {injector: this.injector, keyAlgorithm: this.keyAlgorithm});
+    if(privateKey !== undefined) {
+      options[this.privateKeyEncoding] = privateKey;
+    }
+    return options;
+  }
+
+  /**
+   * Gets a copy of a public key document that includes the key in the
+   * encoding this suite's `validateKey` and verifier expect
+   * (`publicKeyEncoding`, e.g. `publicKeyPem`) if it is only expressed in
+   * another encoding (e.g. `publicKeyJwk`).
+   *
+   * @param key the public key document.
+   * @param options the verification options.
+   *
+   * @return a Promise that resolves to the public key document; it rejects
+   *           with an `InvalidKeyError` if the key cannot be converted.
+   */
+  async normalizeKey(key, options) {
+    if(!this.publicKeyEncoding || key[this.publicKeyEncoding] !== undefined) {
+      return key;
+    }
+    let publicKey;
+    try {
+      publicKey = keyEncoding.convertPublicKey(
+        key, this.publicKeyEncoding,
+        {injector: this.injector, keyAlgorithm: this.keyAlgorithm});
+    } catch(e) {
+      if(e instanceof errors.SignatureError) {
+        throw e;
+      }
+      throw new errors.InvalidKeyError(`Invalid public key; ${e.message}`);
+    }
+    if(publicKey === undefined) {
+      // `validateKey` reports the missing key
+      return key;
+    }
+    return Object.assign({}, key, {[this.publicKeyEncoding]: publicKey});
+  }
+
+  /**
+   * Creates a signer from raw private key material in the signing options
+   * (e.g. `privateKeyPem`). This is used when no `signer` option is given.
+   *
+   * @param options the signing options.
+   *
+   * @return a Promise that resolves to a signer: an object with an
+   *           `algorithm` and an async `sign({data})` method that takes and
+   *           returns a Uint8Array.
+   */
+  async createSigner(options) {
+    throw new Error('"createSigner" must be implemented in a derived class.');
+  }
+
+  /**
+   * Ensures a signer passed via the `signer` option can be used with this
+   * suite; throws if it cannot.
+   *
+   * @param signer the signer.
+   * @param options the signing options.
+   */
+  checkSigner(signer, options) {
+    if(!(signer && typeof signer === 'object' &&
+      typeof signer.sign === 'function')) {
+      throw new TypeError(
+        '"options.signer" must be an object with a "sign" function.');
+    }
+    if(signer.id !== undefined && typeof signer.id !== 'string') {
+      throw new TypeError('"options.signer.id" must be a URL string.');
+    }
+    if(this.alg && signer.algorithm !== undefined &&
+      signer.algorithm !== this.alg) {
+      throw new errors.UnsupportedAlgorithmError(
+        `Unsupported signer algorithm "${signer.algorithm}"; ` +
+        `${this.algorithm} requires "${this.alg}".`);
+    }
+  }
+
+  /**
+   * Signs verify data using `options.signer`.
+   *
+   * @param verifyData the verify data to sign.
+   * @param options the signing options.
+   *
+   * @return a Promise that resolves to the signature as a binary string.
+   */
+  async signVerifyData(verifyData, options) {
+    let data = verifyData.data;
+    if(verifyData.encoding === 'utf8') {
+      const forge = this.injector.use('forge');
+      data = forge.util.encodeUtf8(data);
+    }
+    const signature = await options.signer.sign(
+      {data: util.binaryToBytes(data)});
+    return util.bytesToBinary(signature);
+  }
+
   async createProofNode(verifyData, options) {
     const proof = options.proof;
     proof.jws = await this.createSignatureValue(verifyData, options);
@@ -182,11 +420,14 @@ module.exports = class LinkedDataSignature {
     // the caller to accept that the signature will be added to the top
     // level of the input
 
-    // attach signature node to cloned input and return it
+    // attach signature node to cloned input (or the signed node embedded in
+    // it) and return it
     const output = util.deepClone(input);
     delete compactProofNode['@context'];
     const proofKey = Object.keys(compactProofNode)[0];
-    jsonld.addValue(output, proofKey, compactProofNode[proofKey]);
+    jsonld.addValue(
+      this._getProofTarget(output, options), proofKey,
+      compactProofNode[proofKey]);
     return output;
   }
 
@@ -196,44 +437,55 @@ module.exports = class LinkedDataSignature {
     const proof = framed.signature || framed.proof;
     proof['@context'] = framed['@context'];
 
+    // record the outcome of each check in `options.checks`, if given
+    const checks = options.checks || new ProofChecks();
+    options.checks = checks;
+
     // destructure options
+    const {maxTimestampDelta = (15 * 60)} = options;
     let {
-      maxTimestampDelta = (15 * 60),
+      maxTimestampPastDelta = maxTimestampDelta,
+      maxTimestampFutureDelta = maxTimestampDelta,
+      allowLongLivedProofs = false,
       checkNonce = () => (
         proof.nonce === null || proof.nonce === undefined),
       checkDomain = () => (
         proof.domain === null || proof.domain === undefined),
-      checkTimestamp = () => {
-        const now = Date.now();
-        const delta = maxTimestampDelta * 1000;
-        const created = Date.parse(proof.created);
-        if(created < (now - delta) || created > (now + delta)) {
-          throw new Error('The digital signature timestamp is out of range.');
-        }
-        return true;
-      },
+      checkTimestamp = created => validityWindow.check(created.getTime(), {
+        now: util.getTime(options),
+        // if allowed, a proof that expires stays valid until then (see
+        // `checkExpiration`), so only its creation date must not be in the
+        // future
+        maxPastDelta: (allowLongLivedProofs && proof.expires !== undefined) ?
+          Infinity : maxTimestampPastDelta,
+        maxFutureDelta: maxTimestampFutureDelta
+      }),
       checkKey = this.helper.checkKey.bind(this.helper),
       publicKey: getPublicKey = this.helper.getPublicKey.bind(this.helper)
     } = options;
 
     // normalize function options
+    const disabledChecks = [];
     if(checkNonce === false) {
       // not checking nonce, so return true
       checkNonce = () => true;
+      disabledChecks.push('nonce');
     }
     if(checkDomain === false) {
       // not checking domain, so return true
       checkDomain = () => true;
+      disabledChecks.push('domain');
     }
     if(checkTimestamp === false) {
       // not checking timestamp, so return true
       checkTimestamp = () => true;
+      disabledChecks.push('timestamp');
     }
     if(typeof getPublicKey !== 'function') {
       const key = getPublicKey;
       getPublicKey = keyId => {
         if(keyId !== key.id) {
-          throw new Error('Public key not found.');
+          throw new errors.KeyNotFoundError('Public key not found.');
         }
         return key;
       };
@@ -245,61 +497,323 @@ module.exports = class LinkedDataSignature {
     getPublicKey = util.normalizeAsyncFn(getPublicKey, 2);
 
     // run nonce, domain, and timestamp checks in parallel
-    const checks = await Promise.all([
-      checkNonce(proof.nonce, options),
-      checkDomain(proof.domain, options),
-      checkTimestamp(proof.date, options)
+    await Promise.all([
+      checks.run('nonce', async () => {
+        if(!await checkNonce(proof.nonce, options)) {
+          throw new errors.InvalidNonceError('The nonce is invalid.');
+        }
+        return true;
+      }),
+      checks.run('domain', async () => {
+        if(!await checkDomain(proof.domain, options)) {
+          throw new errors.InvalidDomainError('The domain is invalid.');
+        }
+        return true;
+      }),
+      checks.run('timestamp', async () => {
+        if(disabledChecks.indexOf('timestamp') !== -1) {
+          return true;
+        }
+        const created = validityWindow.parseDateTime(proof.created);
+        if(created === null) {
+          throw new errors.InvalidTimestampError(
+            'The proof\'s "created" date is missing or is not a valid ' +
+            'ISO 8601 date and time.');
+        }
+        if(!await checkTimestamp(new Date(created), options)) {
+          throw new errors.InvalidTimestampError('The timestamp is invalid.');
+        }
+        return true;
+      })
     ]);
+    disabledChecks.forEach(name => checks.skip(name, 'disabled'));
 
-    if(!checks[0]) {
-      throw new Error('The nonce is invalid.');
-    }
-    if(!checks[1]) {
-      throw new Error('The domain is invalid.');
-    }
-    if(!checks[2]) {
-      throw new Error('The timestamp is invalid.');
+    // ensure the proof has not expired
+    if(proof.expires === undefined) {
+      checks.skip('expiration', 'not-applicable');
+    } else {
+      await checks.run(
+        'expiration', () => this.checkExpiration(proof, options));
     }
 
+    // ensure the proof was made for the expected purpose and meets its
+    // requirements
+    await checks.run('proofPurpose', async () => {
+      const purpose = this.helper.getProofPurpose(proof);
+      if(options.expectedProofPurpose !== undefined &&
+        purpose.term !== options.expectedProofPurpose) {
+        throw new errors.ProofPurposeError(
+          `The proof purpose "${purpose.term}" does not match the expected ` +
+          `proof purpose "${options.expectedProofPurpose}".`);
+      }
+      await purpose.validate(proof, options);
+      return true;
+    });
+
     const keyOptions = Object.assign({}, options, {
       proof,
       keyType: this.requiredKeyType
     });
 
     // get public key
-    const publicKey = await getPublicKey(proof.creator, keyOptions);
-
-    // TODO: should be able to override revocation check to ensure that
-    // signatures made prior to the revocation check could potentially still
-    // be verified
+    let publicKey = await checks.run('keyRetrieval', () => getPublicKey(
+      this.getVerificationMethod(proof), keyOptions));
+    checks.publicKeyDocument = publicKey;
+
+    // ensure key is not revoked or, if the revocation policy allows it, was
+    // revoked only after the proof was created
+    const {revocationPolicy = 'reject'} = options;
+    checks.revocationPolicy = revocationPolicy;
+    if(publicKey.revoked === undefined) {
+      checks.skip('revocation', 'not-applicable');
+    } else {
+      const revocationCode = await checks.run(
+        'revocation', () => this.checkRevocation(publicKey, proof, options));
+      checks.pass('revocation', revocationCode);
+    }
 
-    // ensure key is not revoked
-    if(publicKey.revoked !== undefined) {
-      throw new Error(
-        'The document was signed with a key that has been revoked.');
+    // ensure key has not expired, when the proof was created or now,
+    // according to the key expiration policy
+    const {keyExpirationPolicy = 'verification'} = options;
+    checks.keyExpirationPolicy = keyExpirationPolicy;
+    if(publicKey.expires === undefined) {
+      checks.skip('keyExpiration', 'not-applicable');
+    } else {
+      await checks.run('keyExpiration', () => this.checkKeyExpiration(
+        publicKey, proof, options));
     }
 
     // ensure key is trusted before proceeding
-    const isKeyTrusted = await checkKey(publicKey, keyOptions);
-    if(!isKeyTrusted) {
-      throw new Error('The document was not signed with a trusted key.');
-    }
-
-    // validate key
-    await this.validateKey(publicKey, keyOptions);
-
-    // verify input
-    const verifyData = await this.createVerifyData(
-      framed, Object.assign({}, options, {
-        date: proof.created,
-        nonce: proof.nonce,
-        domain: proof.domain,
-        proof
-      }));
-
-    return this.verifyProofNode(
-      verifyData, proof,
-      Object.assign({}, options, {publicKey: publicKey}));
+    await checks.run('ownership', async () => {
+      const isKeyTrusted = await checkKey(publicKey, keyOptions);
+      if(!isKeyTrusted) {
+        throw new errors.UntrustedKeyError(
+          'The document was not signed with a trusted key.');
+      }
+      return true;
+    });
+
+    // validate key, expressed in the encoding this suite uses
+    await checks.run('keyValidation', async () => {
+      publicKey = await this.normalizeKey(publicKey, keyOptions);
+      await this.validateKey(publicKey, keyOptions);
+      return true;
+    });
+
+    return checks.run('signature', async () => {
+      // get a verifier for the key
+      let createVerifier = options.verifier || this.createVerifier.bind(this);
+      createVerifier = util.normalizeAsyncFn(createVerifier, 2);
+      const verifier = await createVerifier(publicKey, keyOptions);
+      this.checkVerifier(verifier, options);
+
+      // verify input; a chained proof also covers the other proofs in the
+      // full document (`options.framed`)
+      const verifyData = await this.createVerifyData(
+        options.framed || framed, Object.assign({}, options, {
+          date: proof.created,
+          nonce: proof.nonce,
+          domain: proof.domain,
+          proof
+        }));
+
+      return this.verifyProofNode(
+        verifyData, proof,
+        Object.assign({}, options, {publicKey, verifier}));
+    });
+  }
+
+  /**
+   * Checks whether a proof has expired, i.e. whether its `expires` date has
+   * passed by the current time (see `options.now`).
+   *
+   * @param proof the proof node, framed according to the security-v2
+   *          context.
+   * @param options the verification options.
+   *
+   * @return a Promise that resolves to true if the proof has not expired; it
+   *           rejects with a `ProofExpiredError` otherwise.
+   */
+  async checkExpiration(proof, options) {
+    if(proof.expires === undefined) {
+      return true;
+    }
+    const expires = validityWindow.parseDateTime(proof.expires);
+    if(expires === null) {
+      throw new errors.InvalidProofError(
+        'The proof expiration date is invalid.');
+    }
+    if(expires <= util.getTime(options)) {
+      throw new errors.ProofExpiredError('The proof has expired.');
+    }
+    return true;
+  }
+
+  /**
+   * Checks whether a proof's key has expired, according to
+   * `options.keyExpirationPolicy`:
+   *   'verification': proofs made with a key that has expired by the time
+   *     they are verified (see `options.now`) are rejected.
+   *   'created': only proofs `created` after the key expired are rejected.
+   *
+   * @param key the public key document.
+   * @param proof the proof node, framed according to the security-v2
+   *          context.
+   * @param options the verification options.
+   *
+   * @return a Promise that resolves to true if the key had not expired; it
+   *           rejects with a `KeyExpiredError` otherwise or with an
+   *           `InvalidKeyError` if the key's `expires` date is invalid.
+   */
+  async checkKeyExpiration(key, proof, options) {
+    if(key.expires === undefined) {
+      return true;
+    }
+    const expires = validityWindow.parseDateTime(key.expires);
+    if(expires === null) {
+      throw new errors.InvalidKeyError('The key expiration date is invalid.');
+    }
+    const {keyExpirationPolicy = 'verification'} = options;
+    const time = (keyExpirationPolicy === 'created') ?
+      validityWindow.parseDateTime(proof.created) : util.getTime(options);
+    if(time === null || expires <= time) {
+      throw new errors.KeyExpiredError(
+        'The document was signed with a key that has expired.');
+    }
+    return true;
+  }
+
+  /**
+   * Checks whether a proof's key has been revoked (by the current time, see
+   * `options.now`), according to `options.revocationPolicy`:
+   *   'reject': proofs made with a revoked key are rejected.
+   *   'created': proofs `created` before the key was revoked are accepted.
+   *   'trustedTimestamp': proofs whose `options.trustedTimestamp` is before
+   *     the key was revoked are accepted.
+   *
+   * @param key the public key document.
+   * @param proof the proof node, framed according to the security-v2
+   *          context.
+   * @param options the verification options.
+   *
+   * @return a Promise that resolves to 'ok' if the key has not been revoked
+   *           or to 'signed-before-revocation' if it was revoked after the
+   *           proof was made; it rejects with a `KeyRevokedError` otherwise or
+   *           with an `InvalidKeyError` if the key's `revoked` date is
+   *           invalid.
+   */
+  async checkRevocation(key, proof, options) {
+    if(key.revoked === undefined) {
+      return 'ok';
+    }
+    const revoked = validityWindow.parseDateTime(key.revoked);
+    if(revoked === null) {
+      throw new errors.InvalidKeyError('The key revocation date is invalid.');
+    }
+    if(revoked > util.getTime(options)) {
+      // not revoked yet
+      return 'ok';
+    }
+    const {revocationPolicy = 'reject'} = options;
+    let signed;
+    if(revocationPolicy === 'created') {
+      signed = validityWindow.parseDateTime(proof.created);
+    } else if(revocationPolicy === 'trustedTimestamp') {
+      let {trustedTimestamp} = options;
+      if(typeof trustedTimestamp === 'function') {
+        trustedTimestamp = await util.normalizeAsyncFn(
+          trustedTimestamp, 2)(proof, options);
+      }
+      signed = trustedTimestamp;
+    }
+    if(signed !== undefined) {
+      signed = validityWindow.parseTime(signed);
+      if(signed !== null && signed < revoked) {
+        return 'signed-before-revocation';
+      }
+    }
+    throw new errors.KeyRevokedError(
+      'The document was signed with a key that has been revoked.');
+  }
+
+  /**
+   * Gets the ID of the key a proof was created with, which is given via
+   * `verificationMethod` or, in older proofs, `creator`.
+   *
+   * @param proof the proof node, framed according to the security-v2
+   *          context.
+   *
+   * @return the ID of the key.
+   */
+  getVerificationMethod(proof) {
+    const {creator, verificationMethod} = proof;
+    if(creator !== undefined && verificationMethod !== undefined &&
+      creator !== verificationMethod) {
+      throw new errors.InvalidProofError(
+        'The proof "creator" and "verificationMethod" do not match.');
+    }
+    const id = verificationMethod === undefined ? creator : verificationMethod;
+    if(typeof id !== 'string') {
+      throw new errors.InvalidProofError(
+        'The proof does not include a valid "verificationMethod" or ' +
+        '"creator" property.');
+    }
+    return id;
+  }
+
+  /**
+   * Creates a verifier for a public key document. This is used when no
+   * `verifier` option is given.
+   *
+   * @param key the validated public key document.
+   * @param options the verification options.
+   *
+   * @return a Promise that resolves to a verifier: an object with an async
+   *           `verify({data, signature})` method that takes Uint8Arrays and
+   *           resolves to true if the signature is valid.
+   */
+  async createVerifier(key, options) {
+    throw new Error(
+      '"createVerifier" must be implemented in a derived class.');
+  }
+
+  /**
+   * Ensures a verifier created by the `verifier` option can be used; throws
+   * if it cannot.
+   *
+   * @param verifier the verifier.
+   * @param options the verification options.
+   */
+  checkVerifier(verifier, options) {
+    if(!(verifier && typeof verifier === 'object' &&
+      typeof verifier.verify === 'function')) {
+      throw new TypeError(
+        '"options.verifier" must resolve to an object with a "verify" ' +
+        'function.');
+    }
+  }
+
+  /**
+   * Verifies a signature over verify data using `options.verifier`.
+   *
+   * @param data the signed data.
+   * @param [encoding] the encoding of `data`, 'utf8' or 'binary'
+   *          (default: 'binary').
+   * @param signature the signature as a binary string.
+   * @param options the verification options.
+   *
+   * @return a Promise that resolves to true if the signature is valid.
+   */
+  async verifySignature({data, encoding, signature}, options) {
+    if(encoding === 'utf8') {
+      const forge = this.injector.use('forge');
+      data = forge.util.encodeUtf8(data);
+    }
+    const verified = await options.verifier.verify({
+      data: util.binaryToBytes(data),
+      signature: util.binaryToBytes(signature)
+    });
+    return verified === true;
   }
 
   async verifyProofNode(verifyData, proof, options) {
@@ -307,6 +821,61 @@ module.exports = class LinkedDataSignature {
       '"verifyProofNode" must be implemented in a derived class.');
   }
 
+  // gets the node in `output` that a new proof is attached to
+  _getProofTarget(output, options) {
+    if(options.id === undefined) {
+      return output;
+    }
+    const node = util.findNode(output, options.id);
+    if(!node) {
+      throw new errors.InvalidInputError(
+        `The node "${options.id}" must be identified via "id" or "@id" ` +
+        'in the input to attach a proof to it.');
+    }
+    return node;
+  }
+
+  // gets the IDs of the proofs on `input` for a new chained proof
+  async _getProofIds(input, options) {
+    const jsonld = this.injector.use('jsonld');
+    const opts = {expansionMap: options.expansionMap};
+    if(options.documentLoader) {
+      opts.documentLoader = options.documentLoader;
+    }
+    const compacted = await jsonld.compact(
+      input, constants.SECURITY_CONTEXT, opts);
+    const proofs = jsonld.getValues(compacted, 'proof');
+    if(proofs.length === 0) {
+      throw new errors.InvalidInputError(
+        '"options.chain" requires the input to have at least one proof.');
+    }
+    return proofs.map(proof => {
+      if(typeof proof.id !== 'string') {
+        throw new errors.InvalidInputError(
+          'Every existing proof must have an "id" to create a chained proof.');
+      }
+      return proof.id;
+    });
+  }
+
+  // gets the proofs in `compacted` that `proof` was chained to
+  _getPreviousProofs(compacted, proof, options) {
+    const jsonld = this.injector.use('jsonld');
+    const proofs = jsonld.getValues(compacted, 'proof');
+    return jsonld.getValues(proof, 'previousProof').map(id => {
+      if(proof.id !== undefined && id === proof.id) {
+        throw new errors.InvalidPreviousProofError(
+          'A proof must not be chained to itself.');
+      }
+      const previous = proofs.filter(p => p.id === id);
+      if(previous.length !== 1) {
+        throw new errors.InvalidPreviousProofError(
+          `Previous proof "${id}" not found.`);
+      }
+      return previous[0];
+    });
+  }
+
   // TODO: use node `crypto` and Buffers in node environment
   // returns a forge buffer
   _sha256(str, encoding) {
@@ -4,12 +4,18 @@
 'use strict';
 
 const constants = require('../constants');
+const errors = require('../errors');
 const util = require('../util');
 const LinkedDataSignature = require('./LinkedDataSignature');
 
 module.exports = class LinkedDataSignature2015 extends LinkedDataSignature {
   constructor(injector, algorithm = 'LinkedDataSignature2015') {
     super(injector, algorithm);
+    // RSASSA-PKCS1-v1_5 w/SHA-256, named as in JWA for `signer.algorithm`
+    this.alg = 'RS256';
+    this.keyAlgorithm = 'rsa';
+    this.publicKeyEncoding = 'publicKeyPem';
+    this.privateKeyEncoding = 'privateKeyPem';
   }
 
   async createProofNode(verifyData, options) {
@@ -40,31 +46,43 @@ module.exports = class LinkedDataSignature2015 extends LinkedDataSignature {
     const output = util.deepClone(input);
     delete compactProofNode['@context'];
     const proofKey = Object.keys(compactProofNode)[0];
-    jsonld.addValue(output, proofKey, compactProofNode[proofKey]);
+    jsonld.addValue(
+      this._getProofTarget(output, options), proofKey,
+      compactProofNode[proofKey]);
     return output;
   }
 
   async createSignatureValue(verifyData, options) {
-    // TODO: support `sign` function via options instead of `privateKeyPem`
+    const forge = this.injector.use('forge');
+    const signature = await this.signVerifyData(verifyData, options);
+    return forge.util.encode64(signature);
+  }
+
+  async createSigner(options) {
     if(typeof options.privateKeyPem !== 'string') {
       throw new TypeError(
         '"options.privateKeyPem" must be a PEM formatted string.');
     }
-
-    if(this.injector.env.nodejs) {
-      // optimize using node libraries
-      const crypto = this.injector.use('crypto');
-      const signer = crypto.createSign('RSA-SHA256');
-      signer.update(verifyData.data, verifyData.encoding);
-      return signer.sign(options.privateKeyPem, 'base64');
-    }
-
-    // browser or other environment
-    const forge = this.injector.use('forge');
-    const privateKey = forge.pki.privateKeyFromPem(options.privateKeyPem);
-    const md = forge.md.sha256.create();
-    md.update(verifyData.data, verifyData.encoding);
-    return forge.util.encode64(privateKey.sign(md));
+    const {injector} = this;
+    return {
+      algorithm: this.alg,
+      async sign({data}) {
+        if(injector.env.nodejs) {
+          // optimize using node libraries
+          const crypto = injector.use('crypto');
+          const signer = crypto.createSign('RSA-SHA256');
+          signer.update(new Buffer(data));
+          return signer.sign(options.privateKeyPem);
+        }
+
+        // browser or other environment
+        const forge = injector.use('forge');
+        const privateKey = forge.pki.privateKeyFromPem(options.privateKeyPem);
+        const md = forge.md.sha256.create();
+        md.update(util.bytesToBinary(data), 'raw');
+        return util.binaryToBytes(privateKey.sign(md));
+      }
+    };
   }
 
   async createVerifyData(input, options) {
@@ -78,10 +96,12 @@ module.exports = class LinkedDataSignature2015 extends LinkedDataSignature {
       opts.documentLoader = options.documentLoader;
     }
     const compacted = await jsonld.compact(
-      input, constants.SECURITY_CONTEXT_URL, opts);
+      input, constants.SECURITY_CONTEXT, opts);
 
-    // TODO: will need to preserve `signature` when chained signature
-    // option is used and implemented in the future
+    if(jsonld.getValues(options.proof, 'previousProof').length > 0) {
+      throw new errors.InvalidPreviousProofError(
+        `Chained proofs are not supported by ${this.algorithm}.`);
+    }
 
     // delete the existing signature(s) prior to canonicalization
     delete compacted.signature;
@@ -111,38 +131,55 @@ module.exports = class LinkedDataSignature2015 extends LinkedDataSignature {
   }
 
   async verifyProofNode(verifyData, proof, options) {
-    const publicKeyPem = options.publicKey.publicKeyPem;
+    if(typeof proof.signatureValue !== 'string') {
+      throw new errors.InvalidProofError(
+        'The proof does not include a valid "signatureValue" property.');
+    }
+    const forge = this.injector.use('forge');
+    return this.verifySignature({
+      data: verifyData.data,
+      encoding: verifyData.encoding,
+      signature: forge.util.decode64(proof.signatureValue)
+    }, options);
+  }
+
+  async createVerifier(key, options) {
+    const {publicKeyPem} = key;
     if(typeof publicKeyPem !== 'string') {
       throw new TypeError(
         'Could not verify signature; invalid "publicKeyPem".');
     }
-
-    if(this.injector.env.nodejs) {
-      // optimize using node libraries
-      const crypto = this.injector.use('crypto');
-      const verifier = crypto.createVerify('RSA-SHA256');
-      verifier.update(verifyData.data, verifyData.encoding);
-      return verifier.verify(publicKeyPem, proof.signatureValue, 'base64');
-    }
-
-    // browser or other environment
-    const forge = this.injector.use('forge');
-    const publicKey = forge.pki.publicKeyFromPem(publicKeyPem);
-    const md = forge.md.sha256.create();
-    md.update(verifyData.data, verifyData.encoding);
-    return publicKey.verify(
-      md.digest().bytes(), forge.util.decode64(proof.signatureValue));
+    const {injector} = this;
+    return {
+      async verify({data, signature}) {
+        if(injector.env.nodejs) {
+          // optimize using node libraries
+          const crypto = injector.use('crypto');
+          const verifier = crypto.createVerify('RSA-SHA256');
+          verifier.update(new Buffer(data));
+          return verifier.verify(publicKeyPem, new Buffer(signature));
+        }
+
+        // browser or other environment
+        const forge = injector.use('forge');
+        const publicKey = forge.pki.publicKeyFromPem(publicKeyPem);
+        const md = forge.md.sha256.create();
+        md.update(util.bytesToBinary(data), 'raw');
+        return publicKey.verify(
+          md.digest().bytes(), util.bytesToBinary(signature));
+      }
+    };
   }
 
   async validateKey(key, options) {
     if(typeof key.publicKeyPem !== 'string') {
-      throw new TypeError(
+      throw new errors.InvalidKeyError(
         'Unknown public key encoding. Public key encoding must be ' +
         '"publicKeyPem".');
     }
     const jsonld = this.injector.use('jsonld');
     if(!jsonld.hasValue(key, 'type', 'CryptographicKey')) {
-      throw new TypeError(
+      throw new errors.InvalidKeyError(
         'Invalid key type. Key type must be "CryptographicKey".');
     }
   }
@@ -3,154 +3,94 @@
  */
 'use strict';
 
-const LinkedDataSignature = require('./LinkedDataSignature');
+const JwsLinkedDataSignature = require('./JwsLinkedDataSignature');
+const errors = require('../errors');
 const util = require('../util');
 
-module.exports = class RsaSignature2018 extends LinkedDataSignature {
+module.exports = class RsaSignature2018 extends JwsLinkedDataSignature {
   constructor(injector, algorithm = 'RsaSignature2018') {
-    super(injector, algorithm);
+    super(injector, algorithm, 'PS256');
     this.requiredKeyType = 'RsaVerificationKey2018';
+    this.keyAlgorithm = 'rsa';
+    this.publicKeyEncoding = 'publicKeyPem';
+    this.privateKeyEncoding = 'privateKeyPem';
   }
 
-  async createSignatureValue(verifyData, options) {
-    const forge = this.injector.use('forge');
-
-    // TODO: should abstract JWS signing bits out for reuse elsewhere
-
-    // JWS header
-    const header = this.createJwsHeader();
-
-    /*
-    +-------+-----------------------------------------------------------+
-    | "b64" | JWS Signing Input Formula                                 |
-    +-------+-----------------------------------------------------------+
-    | true  | ASCII(BASE64URL(UTF8(JWS Protected Header)) || '.' ||     |
-    |       | BASE64URL(JWS Payload))                                   |
-    |       |                                                           |
-    | false | ASCII(BASE64URL(UTF8(JWS Protected Header)) || '.') ||    |
-    |       | JWS Payload                                               |
-    +-------+-----------------------------------------------------------+
-    */
-
-    const encodedHeader = util.encodeBase64Url(
-      JSON.stringify(header), {forge});
-
-    let encodedSignature;
-    if(this.injector.env.nodejs) {
-      // FIXME: better abstract for future suites
-
-      // optimize using node 8.0+ libraries
-      const crypto = this.injector.use('crypto');
-      if('RSA_PKCS1_PSS_PADDING' in crypto.constants) {
-        const signer = crypto.createSign('RSA-SHA256');
-
-        // build signing input per above comment
-        signer.update(encodedHeader + '.', 'utf8');
-        signer.update(new Buffer(verifyData.data, verifyData.encoding));
-        const buffer = signer.sign(Object.assign({
-          key: options.privateKeyPem
-        }, this.createPss()));
-        encodedSignature = util.encodeBase64Url(
-          buffer.toString('binary'), {forge});
-      }
-    }
-
-    if(!encodedSignature) {
-      // browser or other environment (including node 6.x)
-      const privateKey = forge.pki.privateKeyFromPem(options.privateKeyPem);
-      const md = forge.md.sha256.create();
-      // build signing input per above comment
-      md.update(encodedHeader + '.', 'utf8');
-      md.update(verifyData.data, verifyData.encoding);
-      const pss = this.createPss(forge);
-      const binaryString = privateKey.sign(md, pss);
-      encodedSignature = util.encodeBase64Url(binaryString, {forge});
+  async createSigner(options) {
+    if(typeof options.privateKeyPem !== 'string') {
+      throw new TypeError(
+        '"options.privateKeyPem" must be a PEM formatted string.');
     }
-
-    // create detached content signature
-    return encodedHeader + '..' + encodedSignature;
+    const {injector} = this;
+    const createPss = this.createPss.bind(this);
+    return {
+      algorithm: this.alg,
+      async sign({data}) {
+        if(injector.env.nodejs) {
+          // optimize using node 8.0+ libraries
+          const crypto = injector.use('crypto');
+          if('RSA_PKCS1_PSS_PADDING' in crypto.constants) {
+            const signer = crypto.createSign('RSA-SHA256');
+            signer.update(new Buffer(data));
+            return signer.sign(Object.assign({
+              key: options.privateKeyPem
+            }, createPss()));
+          }
+        }
+
+        // browser or other environment (including node 6.x)
+        const forge = injector.use('forge');
+        const privateKey = forge.pki.privateKeyFromPem(options.privateKeyPem);
+        const md = forge.md.sha256.create();
+        md.update(util.bytesToBinary(data), 'raw');
+        return util.binaryToBytes(privateKey.sign(md, createPss(forge)));
+      }
+    };
   }
 
-  async verifyProofNode(verifyData, proof, options) {
-    const forge = this.injector.use('forge');
-
-    const {publicKeyPem} = options.publicKey;
-
-    // add payload into detached content signature
-    const [encodedHeader, payload, encodedSignature] = proof.jws.split('.');
-
-    const header = JSON.parse(util.decodeBase64Url(encodedHeader, {forge}));
-    if(!(header && typeof header === 'object')) {
-      throw new Error('Invalid JWS header.');
-    }
-
-    // confirm header matches all expectations
-    this.checkJwsHeader(header);
-
-    const rawSignature = util.decodeBase64Url(encodedSignature, {forge});
-
-    if(this.injector.env.nodejs) {
-      // optimize using node 8.0+ libraries
-      const crypto = this.injector.use('crypto');
-      if('RSA_PKCS1_PSS_PADDING' in crypto.constants) {
-        const crypto = this.injector.use('crypto');
-        const verifier = crypto.createVerify('RSA-SHA256');
-        // rebuild signing input per JWS spec
-        verifier.update(encodedHeader + '.', 'utf8');
-        verifier.update(new Buffer(verifyData.data, verifyData.encoding));
-        return verifier.verify(Object.assign({
-          key: publicKeyPem
-        }, this.createPss()), new Buffer(rawSignature, 'binary'));
+  async createVerifier(key, options) {
+    const {publicKeyPem} = key;
+    const {injector} = this;
+    const createPss = this.createPss.bind(this);
+    return {
+      async verify({data, signature}) {
+        if(injector.env.nodejs) {
+          // optimize using node 8.0+ libraries
+          const crypto = injector.use('crypto');
+          if('RSA_PKCS1_PSS_PADDING' in crypto.constants) {
+            const verifier = crypto.createVerify('RSA-SHA256');
+            verifier.update(new Buffer(data));
+            return verifier.verify(Object.assign({
+              key: publicKeyPem
+            }, createPss()), new Buffer(signature));
+          }
+        }
+
+        // browser or other environment
+        const forge = injector.use('forge');
+        const publicKey = forge.pki.publicKeyFromPem(publicKeyPem);
+        const md = forge.md.sha256.create();
+        md.update(util.bytesToBinary(data), 'raw');
+        return publicKey.verify(
+          md.digest().bytes(), util.bytesToBinary(signature),
+          createPss(forge));
       }
-    }
-
-    // browser or other environment
-    const publicKey = forge.pki.publicKeyFromPem(publicKeyPem);
-    const md = forge.md.sha256.create();
-    // rebuild signing input per JWS spec
-    md.update(encodedHeader + '.', 'utf8');
-    md.update(verifyData.data, verifyData.encoding);
-    return publicKey.verify(
-      md.digest().bytes(), rawSignature, this.createPss(forge));
+    };
   }
 
   async validateKey(key, options) {
     if(typeof key.publicKeyPem !== 'string') {
-      throw new TypeError(
+      throw new errors.InvalidKeyError(
         'Unknown public key encoding. Public key encoding must be ' +
         '"publicKeyPem".');
     }
     const jsonld = this.injector.use('jsonld');
     if(!jsonld.hasValue(key, 'type', this.requiredKeyType)) {
-      throw new TypeError(
+      throw new errors.InvalidKeyError(
         `Invalid key type. Key type must be "${this.requiredKeyType}".`);
     }
   }
 
-  createJwsHeader() {
-    const header = {
-      alg: 'PS256',
-      b64: false,
-      crit: ['b64']
-    };
-    return header;
-  }
-
-  checkJwsHeader(header) {
-    /*
-    const expectedHeader = {
-      alg: 'PS256',
-      b64: false,
-      crit: ['b64']
-    };
-    */
-    if(!(header.alg === 'PS256' && header.b64 === false &&
-      Array.isArray(header.crit) && header.crit.length === 1 &&
-      header.crit[0] === 'b64') && Object.keys(header).length === 3) {
-      throw new Error('Invalid JWS header parameters for RsaSignature2018.');
-    }
-  }
-
   createPss(forge) {
     // Note: Per rfc7518, the digest algorithm for PS256 is SHA-256,
     // https://tools.ietf.org/html/rfc7518
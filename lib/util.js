@@ -3,6 +3,8 @@
  */
 'use strict';
 
+const validityWindow = require('./validityWindow');
+
 const api = {};
 module.exports = api;
 
@@ -73,6 +75,28 @@ api.w3cDate = date => {
     _zeroFill(date.getUTCSeconds()) + 'Z';
 };
 
+/**
+ * Gets the current time from the given clock or, if none is given, the system
+ * clock.
+ *
+ * @param [options] the options to use:
+ *          [now()] a function that returns the current time as a Date, an
+ *            ISO 8601 date and time or a number of milliseconds since the
+ *            epoch.
+ *
+ * @return the current time in milliseconds since the epoch.
+ */
+api.getTime = ({now} = {}) => {
+  if(!now) {
+    return Date.now();
+  }
+  const time = validityWindow.parseTime(now());
+  if(time === null) {
+    throw new TypeError('"now" must return a date.');
+  }
+  return time;
+};
+
 api.callbackify = fn => {
   return async function(...args) {
     const callback = args[args.length - 1];
@@ -188,3 +212,145 @@ api.decodeBase64Url = (input, {forge}) => {
   }
   return forge.util.decode64(normalInput);
 };
+
+/**
+ * Encodes input using base58 (Bitcoin/IPFS alphabet).
+ *
+ * @param input the data to encode as a binary string.
+ * @param options
+ *          forge: forge library.
+ *
+ * @return the encoded value.
+ */
+api.encodeBase58 = (input, {forge}) => {
+  return forge.util.binary.base58.encode(forge.util.binary.raw.decode(input));
+};
+
+/**
+ * Decodes base58 (Bitcoin/IPFS alphabet) input.
+ *
+ * @param input the data to decode.
+ * @param options
+ *          forge: forge library.
+ *
+ * @return the decoded value as a binary string.
+ */
+api.decodeBase58 = (input, {forge}) => {
+  if(!/^[1-9A-HJ-NP-Za-km-z]*$/.test(input)) {
+    throw new Error('Illegal base58 string.');
+  }
+  return forge.util.binary.raw.encode(forge.util.binary.base58.decode(input));
+};
+
+/**
+ * Encodes input as a base58-btc multibase string (a "z" prefix followed by
+ * the base58-encoded data).
+ *
+ * @param input the data to encode as a binary string.
+ * @param options
+ *          forge: forge library.
+ *
+ * @return the encoded value.
+ */
+api.encodeMultibase = (input, {forge}) => {
+  return 'z' + api.encodeBase58(input, {forge});
+};
+
+/**
+ * Decodes a base58-btc multibase string; other multibase encodings are
+ * not supported.
+ *
+ * @param input the data to decode.
+ * @param options
+ *          forge: forge library.
+ *
+ * @return the decoded value as a binary string.
+ */
+api.decodeMultibase = (input, {forge}) => {
+  if(!(typeof input === 'string' && input[0] === 'z')) {
+    throw new Error(
+      'Unsupported multibase encoding; only base58-btc ("z") is supported.');
+  }
+  return api.decodeBase58(input.substr(1), {forge});
+};
+
+/**
+ * Converts a binary string (one byte per character) into a Uint8Array.
+ *
+ * @param input the binary string to convert.
+ *
+ * @return the Uint8Array.
+ */
+api.binaryToBytes = input => {
+  const bytes = new Uint8Array(input.length);
+  for(let i = 0; i < input.length; ++i) {
+    bytes[i] = input.charCodeAt(i) & 0xff;
+  }
+  return bytes;
+};
+
+/**
+ * Converts a Uint8Array (including a node.js Buffer) into a binary string
+ * (one byte per character).
+ *
+ * @param bytes the Uint8Array to convert.
+ *
+ * @return the binary string.
+ */
+api.bytesToBinary = bytes => {
+  if(!(bytes instanceof Uint8Array)) {
+    throw new TypeError('"bytes" must be a Uint8Array.');
+  }
+  let output = '';
+  // convert in chunks to avoid exceeding the maximum number of arguments
+  const chunkSize = 8192;
+  for(let i = 0; i < bytes.length; i += chunkSize) {
+    output += String.fromCharCode.apply(
+      null, bytes.subarray(i, i + chunkSize));
+  }
+  return output;
+};
+
+// properties that hold proofs, which are never searched for embedded nodes
+const PROOF_PROPERTIES = [
+  'proof', 'signature',
+  'https://w3id.org/security#proof', 'https://w3id.org/security#signature'
+];
+
+/**
+ * Finds the node with the given ID in a compacted JSON-LD document, looking
+ * at the top-level object and every object embedded in it (other than
+ * proofs). The ID may be expressed via `id` or `@id`.
+ *
+ * @param input the compacted JSON-LD document to search.
+ * @param id the ID of the node to find.
+ *
+ * @return the node (a reference into `input`) or `null` if not found.
+ */
+api.findNode = (input, id) => {
+  if(Array.isArray(input)) {
+    for(const value of input) {
+      const node = api.findNode(value, id);
+      if(node) {
+        return node;
+      }
+    }
+    return null;
+  }
+  if(!(input && typeof input === 'object')) {
+    return null;
+  }
+  if(input.id === id || input['@id'] === id) {
+    return input;
+  }
+  for(const key in input) {
+    if(key === '@context' || PROOF_PROPERTIES.indexOf(key) !== -1) {
+      continue;
+    }
+    const node = api.findNode(input[key], id);
+    if(node) {
+      return node;
+    }
+  }
+  return null;
+};
@@ -0,0 +1,91 @@
+/*
+ * Copyright (c) 2018 Digital Bazaar, Inc. All rights reserved.
+ */
+'use strict';
+
+const errors = require('./errors');
+
+const api = {};
+module.exports = api;
+
+// an ISO 8601 (XML Schema `dateTime`) date and time with a time zone, e.g.
+// 2018-01-01T00:00:00Z or 2018-01-01T01:00:00.123+01:00
+const DATE_TIME = new RegExp(
+  '^(\\d{4})-(\\d{2})-(\\d{2})T(\\d{2}):(\\d{2}):(\\d{2})(\\.\\d+)?' +
+  '(Z|[+-](\\d{2}):(\\d{2}))$');
+
+/**
+ * Parses an ISO 8601 date and time, which must include a time zone. Unlike
+ * `Date.parse`, values in other formats and values with out of range fields
+ * (e.g. February 30th) are rejected.
+ *
+ * @param value the value to parse.
+ *
+ * @return the date in milliseconds since the epoch or null if the value is
+ *           not a valid ISO 8601 date and time.
+ */
+api.parseDateTime = value => {
+  if(typeof value !== 'string') {
+    return null;
+  }
+  const match = value.match(DATE_TIME);
+  if(!match) {
+    return null;
+  }
+  const [year, month, day, hours, minutes, seconds] =
+    match.slice(1, 7).map(Number);
+  const [offsetHours = 0, offsetMinutes = 0] =
+    match.slice(9, 11).filter(x => x !== undefined).map(Number);
+  if(month < 1 || month > 12 || day < 1 ||
+    day > new Date(Date.UTC(year, month, 0)).getUTCDate() ||
+    hours > 23 || minutes > 59 || seconds > 59 ||
+    offsetHours > 23 || offsetMinutes > 59) {
+    return null;
+  }
+  return Date.parse(value);
+};
+
+/**
+ * Parses a time given as a Date, a number of milliseconds since the epoch or
+ * an ISO 8601 date and time (see `parseDateTime`).
+ *
+ * @param value the value to parse.
+ *
+ * @return the time in milliseconds since the epoch or null if the value is
+ *           not a valid time.
+ */
+api.parseTime = value => {
+  let time = null;
+  if(value instanceof Date) {
+    time = value.getTime();
+  } else if(typeof value === 'number') {
+    time = value;
+  } else {
+    time = api.parseDateTime(value);
+  }
+  return (time === null || !isFinite(time)) ? null : time;
+};
+
+/**
+ * Checks that a proof was created within a window around the current time.
+ *
+ * @param created the date the proof was created, in milliseconds since the
+ *          epoch.
+ * @param options the options to use:
+ *          now the current time, in milliseconds since the epoch.
+ *          maxPastDelta the number of seconds `created` may be before `now`
+ *            (Infinity for no limit).
+ *          maxFutureDelta the number of seconds `created` may be after `now`,
+ *            to allow for clock skew.
+ *
+ * @return true; a `TimestampOutOfRangeError` is thrown if `created` is
+ *           outside the window.
+ */
+api.check = (created, {now, maxPastDelta, maxFutureDelta}) => {
+  if(created < now - maxPastDelta * 1000 ||
+    created > now + maxFutureDelta * 1000) {
+    throw new errors.TimestampOutOfRangeError(
+      'The digital signature timestamp is out of range.');
+  }
+  return true;
+};
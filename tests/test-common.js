@@ -51,6 +51,13 @@ var testLoader = function(url, callback) {
       documentUrl: testPublicKeyEd25519.id
     });
   }
+  if(url === 'https://example.com/i/ivan/did.json') {
+    return callback(null, {
+      contextUrl: null,
+      document: testDidWebDocument,
+      documentUrl: url
+    });
+  }
   if(url === testPublicKeyEd25519Owner.id) {
     return callback(null, {
       contextUrl: null,
@@ -354,6 +361,28 @@ describe('JSON-LD Signatures', function() {
             assert.isTrue(result.verified, 'signature verification failed');
           }).then(done, done);
         });
+
+        it('should sign and verify a detached signature', function(done) {
+          const original = clone(testDocument);
+          jsigs.sign(testDocument, {
+            algorithm: 'LinkedDataSignature2015',
+            privateKeyPem: testPrivateKeyPem,
+            creator: testPublicKeyUrl,
+            detached: true
+          }).then(function(proof) {
+            assert.deepEqual(testDocument, original);
+            assert.equal(proof.type, 'LinkedDataSignature2015');
+            assert.isString(proof.signatureValue);
+            return jsigs.verify(testDocument, {
+              publicKey: testPublicKey,
+              publicKeyOwner: testPublicKeyOwner,
+              proof
+            });
+          }).then(function(result) {
+            assert.equal(result.keyResults[0].error, undefined);
+            assert.isTrue(result.verified, 'signature verification failed');
+          }).then(done, done);
+        });
       }); // end single signature
 
       describe('multiple signatures', function() {
@@ -1129,203 +1158,3277 @@ describe('JSON-LD Signatures', function() {
           });
         });
 
-      it('should successfully sign a local document' +
-        ' w/promises API', function(done) {
-        jsigs.sign(testDocument, {
-          algorithm: 'Ed25519Signature2018',
-          privateKeyBase58: testPrivateKeyEd25519Base58,
-          creator: testPublicKey.id
-        }).then(function(signedDocument) {
-          assert.notEqual(
-            signedDocument['https://w3id.org/security#proof'], undefined,
-            'signature was not created');
-          assert.equal(
-            signedDocument['https://w3id.org/security#proof']
-              ['@graph']['http://purl.org/dc/terms/creator']['@id'],
-            testPublicKey.id, 'creator key for signature is wrong');
-        }).then(done, done);
-      });
-
-      it('should successfully verify a local signed document' +
-        ' w/promises API', function(done) {
-        jsigs.verify(testDocumentSigned, {
-          publicKey: testPublicKey,
-          publicKeyOwner: testPublicKeyOwner,
-          // timestamp is quite old, do not check it, it is used to ensure
-          // a static document is being checked
-          checkTimestamp: false
-        }).then(function(result) {
-          assert.equal(result.verified, true, 'signature verification failed');
-        }).then(done, done);
-      });
-
-      it('should successfully sign a local document w/proofPurpose' +
-        ' w/promises API', function(done) {
-        jsigs.sign(testDocument, {
-          algorithm: 'Ed25519Signature2018',
-          privateKeyBase58: testPrivateKeyEd25519Base58,
-          creator: testPublicKey.id,
-          proof: {
-            '@context': 'https://w3id.org/security/v2',
-            proofPurpose: testProofPurpose
-          }
-        }).then(function(signedDocument) {
-          assert.notEqual(
-            signedDocument['https://w3id.org/security#proof'], undefined,
-            'signature was not created');
-          assert.equal(
-            signedDocument['https://w3id.org/security#proof']
-              ['@graph']['http://purl.org/dc/terms/creator']['@id'],
-            testPublicKey.id, 'creator key for signature is wrong');
-          assert.equal(
-            signedDocument['https://w3id.org/security#proof']
-              ['@graph']['https://w3id.org/security#proofPurpose']['@id'],
-            testProofPurpose, 'proof purpose for signature is wrong');
-        }).then(done, done);
-      });
+      describe('w/signer', function() {
+        let signer;
 
-      it('should successfully verify a local signed document w/proofPurpose' +
-        ' w/promises API', function(done) {
-        jsigs.verify(testDocumentWithProofPurposeSigned, {
-          publicKey: testPublicKey,
-          publicKeyOwner: testPublicKeyOwner,
-          // timestamp is quite old, do not check it, it is used to ensure
-          // a static document is being checked
-          checkTimestamp: false
-        }).then(function(result) {
-          assert.equal(result.verified, true, 'signature verification failed');
-        }).then(done, done);
-      });
+        beforeEach(function() {
+          const forge = jsigs.use('forge');
+          const privateKey = forge.util.binary.base58.decode(
+            testPrivateKeyEd25519Base58);
+          signer = {
+            id: testPublicKey.id,
+            algorithm: 'EdDSA',
+            sign: async ({data}) => forge.ed25519.sign(
+              {message: data, privateKey})
+          };
+        });
 
-      it('verify should return false if the document was signed by' +
-        ' a different private key w/promises API', function(done) {
-        jsigs.verify(testDocumentSigned, {
-          publicKey: testInvalidPublicKey,
-          publicKeyOwner: testPublicKeyOwner,
-          // timestamp is quite old, do not check it, it is used to ensure
-          // a static document is being checked
-          checkTimestamp: false
-        }).then(function(result) {
-          assert.equal(result.verified, false,
-            'signature verification should have failed but did not');
-        }).then(done, done);
-      });
-    });
-  });
+        it('should sign and verify using the signer id as creator',
+          function(done) {
+          jsigs.sign(testDocument, {
+            algorithm: 'Ed25519Signature2018',
+            signer
+          }).then(function(signedDocument) {
+            assert.equal(
+              signedDocument['https://w3id.org/security#proof']
+                ['@graph']['http://purl.org/dc/terms/creator']['@id'],
+              testPublicKey.id,
+              'creator key for signature is wrong');
+            return jsigs.verify(signedDocument, {
+              publicKey: testPublicKey,
+              publicKeyOwner: testPublicKeyOwner
+            });
+          }).then(function(result) {
+            assert.equal(
+              result.verified, true, 'signature verification failed');
+          }).then(done, done);
+        });
 
-  context('with security context', function() {
-    // the test document that will be signed
-    var testDocument = {
-      '@context': [{
-        '@version': 1.1
-      }, {
-        schema: 'http://schema.org/',
-        name: 'schema:name',
-        homepage: 'schema:url',
-        image: 'schema:image'
-      }, jsigs.SECURITY_CONTEXT_URL],
-      name: 'Manu Sporny',
-      homepage: 'https://manu.sporny.org/',
-      image: 'https://manu.sporny.org/images/manu.png'
-    };
-    var testDocumentSigned = {};
+        it('should fail to sign with a signer for another algorithm',
+          function(done) {
+          signer.algorithm = 'ES256';
+          jsigs.sign(testDocument, {
+            algorithm: 'Ed25519Signature2018',
+            signer
+          }, function(err) {
+            assert.instanceOf(err, Error);
+            assert.include(err.message, 'Unsupported signer algorithm');
+            done();
+          });
+        });
 
-    describe(
-      'signing and verify GraphSignature2012 w/security context', function() {
-        it('should successfully sign a local document', function(done) {
+        it('should fail to sign with an invalid signer', function(done) {
           jsigs.sign(testDocument, {
-            algorithm: 'GraphSignature2012',
-            privateKeyPem: testPrivateKeyPem,
-            creator: testPublicKeyUrl
-          }, function(err, signedDocument) {
-            assert.ifError(err);
-            assert.notEqual(signedDocument.signature, undefined,
-              'signature was not created');
-            assert.equal(signedDocument.signature.creator, testPublicKeyUrl,
-              'creator key for signature is wrong');
-            testDocumentSigned = signedDocument;
+            algorithm: 'Ed25519Signature2018',
+            signer: {id: testPublicKey.id}
+          }, function(err) {
+            assert.instanceOf(err, TypeError);
             done();
           });
         });
+      });
 
-        it('should successfully verify a local signed document',
+      describe('w/verificationMethod', function() {
+        const proofProperty = 'https://w3id.org/security#proof';
+        const verificationMethodProperty =
+          'https://w3id.org/security#verificationMethod';
+
+        it('should sign and verify using verificationMethod',
           function(done) {
-            jsigs.verify(testDocumentSigned, {
+          jsigs.sign(testDocument, {
+            algorithm: 'Ed25519Signature2018',
+            privateKeyBase58: testPrivateKeyEd25519Base58,
+            verificationMethod: testPublicKey.id
+          }).then(function(signedDocument) {
+            const proof = signedDocument[proofProperty]['@graph'];
+            assert.equal(
+              proof[verificationMethodProperty]['@id'], testPublicKey.id);
+            assert.equal(proof['http://purl.org/dc/terms/creator'], undefined);
+            return jsigs.verify(signedDocument, {
               publicKey: testPublicKey,
               publicKeyOwner: testPublicKeyOwner
-            }, function(err, result) {
-              assert.ifError(err);
-              assert.equal(
-                result.verified, true, 'signature verification failed');
-              done();
             });
-          });
+          }).then(function(result) {
+            assert.equal(
+              result.verified, true, 'signature verification failed');
+            assert.equal(result.keyResults[0].publicKey, testPublicKey.id);
+          }).then(done, done);
+        });
 
-        it('should successfully sign a local document w/promises API',
+        it('should write creator as verificationMethod', function(done) {
+          jsigs.sign(testDocument, {
+            algorithm: 'Ed25519Signature2018',
+            privateKeyBase58: testPrivateKeyEd25519Base58,
+            creator: testPublicKey.id,
+            proofKeyProperty: 'verificationMethod'
+          }).then(function(signedDocument) {
+            const proof = signedDocument[proofProperty]['@graph'];
+            assert.equal(
+              proof[verificationMethodProperty]['@id'], testPublicKey.id);
+          }).then(done, done);
+        });
+
+        it('should fail to sign with an unknown proofKeyProperty',
           function(done) {
-            jsigs.promises.sign(testDocument, {
-              algorithm: 'GraphSignature2012',
-              privateKeyPem: testPrivateKeyPem,
-              creator: testPublicKeyUrl
-            }).then(function(signedDocument) {
-              assert.notEqual(signedDocument.signature, undefined,
-                'signature was not created');
-              assert.equal(signedDocument.signature.creator, testPublicKeyUrl,
-                'creator key for signature is wrong');
-              testDocumentSigned = signedDocument;
-            }).catch(function(err) {
-              assert.ifError(err);
-            }).then(done, done);
+          jsigs.sign(testDocument, {
+            algorithm: 'Ed25519Signature2018',
+            privateKeyBase58: testPrivateKeyEd25519Base58,
+            creator: testPublicKey.id,
+            proofKeyProperty: 'publicKey'
+          }, function(err) {
+            assert.instanceOf(err, TypeError);
+            done();
           });
+        });
 
-        it('should successfully verify a local signed document w/promises API',
+        it('should not verify a proof with a mismatched creator',
           function(done) {
-            jsigs.promises.verify(testDocumentSigned, {
+          jsigs.sign(testDocument, {
+            algorithm: 'Ed25519Signature2018',
+            privateKeyBase58: testPrivateKeyEd25519Base58,
+            verificationMethod: testPublicKey.id,
+            proof: {
+              '@context': jsigs.SECURITY_CONTEXT,
+              creator: 'https://example.com/i/carol/keys/2'
+            }
+          }).then(function(signedDocument) {
+            return jsigs.verify(signedDocument, {
               publicKey: testPublicKey,
               publicKeyOwner: testPublicKeyOwner
-            }).then(function(result) {
-              assert.equal(
-                result.verified, true, 'signature verification failed');
-            }).catch(function(err) {
-              assert.ifError(err);
-            }).then(done, done);
-          });
+            });
+          }).then(function(result) {
+            assert.equal(
+              result.verified, false,
+              'signature verification should have failed');
+            assert.include(
+              result.keyResults[0].error.message, 'do not match');
+          }).then(done, done);
+        });
 
+        it('should verify a key authorized by its controller', function(done) {
+          // the key's `owner` does not list the key, but its `controller` does
+          const key = Object.assign({}, testPublicKey, {
+            '@context': jsigs.SECURITY_CONTEXT,
+            owner: 'https://example.com/i/dave',
+            controller: 'https://example.com/i/erin'
+          });
+          const owners = {
+            'https://example.com/i/dave': {
+              '@context': jsigs.SECURITY_CONTEXT,
+              id: 'https://example.com/i/dave',
+              publicKey: []
+            },
+            'https://example.com/i/erin': {
+              '@context': jsigs.SECURITY_CONTEXT,
+              id: 'https://example.com/i/erin',
+              verificationMethod: [key.id]
+            }
+          };
+          jsigs.sign(testDocument, {
+            algorithm: 'Ed25519Signature2018',
+            privateKeyBase58: testPrivateKeyEd25519Base58,
+            verificationMethod: key.id
+          }).then(function(signedDocument) {
+            return jsigs.verify(signedDocument, {
+              publicKey: key,
+              publicKeyOwner: ownerId => owners[ownerId]
+            });
+          }).then(function(result) {
+            assert.equal(result.keyResults[0].error, undefined);
+            assert.equal(
+              result.verified, true, 'signature verification failed');
+          }).then(done, done);
+        });
       });
 
-    describe(
-      'signing and verify LinkedDataSignature2015 w/security context',
-      function() {
-        it('should successfully sign a local document', function(done) {
-          jsigs.sign(testDocument, {
-            algorithm: 'LinkedDataSignature2015',
-            privateKeyPem: testPrivateKeyPem,
-            creator: testPublicKeyUrl
-          }, function(err, signedDocument) {
-            assert.ifError(err);
-            assert.notEqual(signedDocument.signature, undefined,
-              'signature was not created');
-            assert.equal(signedDocument.signature.creator, testPublicKeyUrl,
-              'creator key for signature is wrong');
-            testDocumentSigned = signedDocument;
-            done();
+      describe('w/chained proofs', function() {
+        const firstProofId = 'urn:uuid:2a1bc6f4-0b0f-4b36-a1b1-8f5c3f9e1c01';
+
+        function signFirst() {
+          return jsigs.sign(testDocument, {
+            algorithm: 'Ed25519Signature2018',
+            creator: testPublicKey.id,
+            privateKeyBase58: testPrivateKeyEd25519Base58,
+            proof: {
+              '@context': jsigs.SECURITY_CONTEXT,
+              id: firstProofId,
+              proofPurpose: testProofPurpose
+            }
           });
-        });
+        }
 
-        it('should successfully verify a local signed document',
-          function(done) {
-            jsigs.verify(testDocumentSigned, {
+        function signChained(signedDocument) {
+          return jsigs.sign(signedDocument, {
+            algorithm: 'Ed25519Signature2018',
+            creator: testPublicKey.id,
+            privateKeyBase58: testPrivateKeyEd25519Base58,
+            chain: true
+          });
+        }
+
+        it('should sign and verify a proof chain', function(done) {
+          signFirst().then(signChained).then(function(signedDocument) {
+            const proofs = signedDocument['https://w3id.org/security#proof'];
+            assert.equal(proofs.length, 2);
+            assert.deepEqual(
+              proofs[1]['@graph']['https://w3id.org/security#previousProof'],
+              {'@id': firstProofId});
+            return jsigs.verify(signedDocument, {
               publicKey: testPublicKey,
               publicKeyOwner: testPublicKeyOwner
-            }, function(err, result) {
-              assert.ifError(err);
-              assert.equal(
-                result.verified, true, 'signature verification failed');
-              done();
             });
-          });
+          }).then(function(result) {
+            assert.equal(
+              result.verified, true, 'signature verification failed');
+            assert.equal(result.keyResults.length, 2);
+          }).then(done, done);
+        });
 
-        it('should successfully sign a local document w/promises',
+        it('should not verify a chained proof when a previous proof was ' +
+          'removed', function(done) {
+          signFirst().then(signChained).then(function(signedDocument) {
+            signedDocument['https://w3id.org/security#proof'].shift();
+            return jsigs.verify(signedDocument, {
+              publicKey: testPublicKey,
+              publicKeyOwner: testPublicKeyOwner
+            });
+          }).then(function(result) {
+            assert.equal(
+              result.verified, false,
+              'signature verification should have failed');
+            assert.include(
+              result.keyResults[0].error.message, 'not found');
+          }).then(done, done);
+        });
+
+        it('should not verify a chained proof when a previous proof was ' +
+          'altered', function(done) {
+          signFirst().then(signChained).then(function(signedDocument) {
+            const proof =
+              signedDocument['https://w3id.org/security#proof'][0]['@graph'];
+            proof['https://w3id.org/security#proofPurpose']['@id'] =
+              'https://example.org/other-purpose';
+            return jsigs.verify(signedDocument, {
+              publicKey: testPublicKey,
+              publicKeyOwner: testPublicKeyOwner
+            });
+          }).then(function(result) {
+            assert.equal(
+              result.verified, false,
+              'signature verification should have failed');
+            assert.equal(result.keyResults[0].verified, false);
+            assert.equal(result.keyResults[1].verified, false);
+            assert.include(
+              result.keyResults[1].error.message, 'could not be verified');
+          }).then(done, done);
+        });
+
+        it('should fail to chain to a proof without an id', function(done) {
+          jsigs.sign(testDocument, {
+            algorithm: 'Ed25519Signature2018',
+            creator: testPublicKey.id,
+            privateKeyBase58: testPrivateKeyEd25519Base58
+          }).then(signChained).then(function() {
+            done(new Error('Expected sign to fail.'));
+          }, function(err) {
+            assert.include(err.message, '"id"');
+            done();
+          }).catch(done);
+        });
+      });
+
+      describe('w/embedded node', function() {
+        const credentialId = 'https://example.com/credentials/1';
+        let envelope;
+
+        beforeEach(function() {
+          envelope = {
+            '@context': {
+              id: '@id',
+              schema: 'http://schema.org/',
+              name: 'schema:name',
+              about: {'@id': 'schema:about', '@type': '@id'}
+            },
+            id: 'https://example.com/envelopes/1',
+            name: 'Envelope',
+            about: {
+              id: credentialId,
+              name: 'Manu Sporny'
+            }
+          };
+        });
+
+        it('should sign and verify an embedded node in place',
+          function(done) {
+          jsigs.sign(envelope, {
+            algorithm: 'Ed25519Signature2018',
+            creator: testPublicKey.id,
+            privateKeyBase58: testPrivateKeyEd25519Base58,
+            id: credentialId
+          }).then(function(signedDocument) {
+            assert.equal(
+              signedDocument['https://w3id.org/security#proof'], undefined);
+            assert.notEqual(
+              signedDocument.about['https://w3id.org/security#proof'],
+              undefined, 'signature was not created');
+            return jsigs.verify(signedDocument, {
+              publicKey: testPublicKey,
+              publicKeyOwner: testPublicKeyOwner,
+              id: credentialId
+            });
+          }).then(function(result) {
+            assert.equal(
+              result.verified, true, 'signature verification failed');
+          }).then(done, done);
+        });
+
+        it('should not verify an altered embedded node', function(done) {
+          jsigs.sign(envelope, {
+            algorithm: 'Ed25519Signature2018',
+            creator: testPublicKey.id,
+            privateKeyBase58: testPrivateKeyEd25519Base58,
+            id: credentialId
+          }).then(function(signedDocument) {
+            signedDocument.about.name = 'Manu Spornoneous';
+            return jsigs.verify(signedDocument, {
+              publicKey: testPublicKey,
+              publicKeyOwner: testPublicKeyOwner,
+              id: credentialId
+            });
+          }).then(function(result) {
+            assert.equal(
+              result.verified, false,
+              'signature verification should have failed');
+          }).then(done, done);
+        });
+
+        it('should sign an envelope over a signed embedded node',
+          function(done) {
+          const verifyOptions = {
+            publicKey: testPublicKey,
+            publicKeyOwner: testPublicKeyOwner
+          };
+          jsigs.sign(envelope, {
+            algorithm: 'Ed25519Signature2018',
+            creator: testPublicKey.id,
+            privateKeyBase58: testPrivateKeyEd25519Base58,
+            id: credentialId
+          }).then(function(signedDocument) {
+            return jsigs.sign(signedDocument, {
+              algorithm: 'Ed25519Signature2018',
+              creator: testPublicKey.id,
+              privateKeyBase58: testPrivateKeyEd25519Base58
+            });
+          }).then(function(signedDocument) {
+            return Promise.all([
+              jsigs.verify(signedDocument, verifyOptions),
+              jsigs.verify(signedDocument, Object.assign(
+                {id: credentialId}, verifyOptions))
+            ]);
+          }).then(function(results) {
+            assert.equal(
+              results[0].verified, true, 'envelope verification failed');
+            assert.equal(
+              results[1].verified, true, 'embedded verification failed');
+          }).then(done, done);
+        });
+
+        it('should fail to sign an unknown embedded node', function(done) {
+          jsigs.sign(envelope, {
+            algorithm: 'Ed25519Signature2018',
+            creator: testPublicKey.id,
+            privateKeyBase58: testPrivateKeyEd25519Base58,
+            id: 'https://example.com/credentials/unknown'
+          }, function(err) {
+            assert.instanceOf(err, Error);
+            assert.include(err.message, 'not found');
+            done();
+          });
+        });
+      });
+
+      describe('w/detached proof', function() {
+        function signDetached() {
+          return jsigs.sign(testDocument, {
+            algorithm: 'Ed25519Signature2018',
+            creator: testPublicKey.id,
+            privateKeyBase58: testPrivateKeyEd25519Base58,
+            detached: true
+          });
+        }
+
+        it('should return only the proof node', function(done) {
+          const original = clone(testDocument);
+          signDetached().then(function(proof) {
+            assert.deepEqual(testDocument, original);
+            assert.deepEqual(proof['@context'], jsigs.SECURITY_CONTEXT);
+            assert.equal(proof.type, 'Ed25519Signature2018');
+            assert.equal(proof.creator, testPublicKey.id);
+            assert.isString(proof.jws);
+          }).then(done, done);
+        });
+
+        it('should verify a detached proof against the unmodified document',
+          function(done) {
+          signDetached().then(function(proof) {
+            return jsigs.verify(testDocument, {
+              publicKey: testPublicKey,
+              publicKeyOwner: testPublicKeyOwner,
+              proof
+            });
+          }).then(function(result) {
+            assert.equal(
+              result.verified, true, 'signature verification failed');
+          }).then(done, done);
+        });
+
+        it('should not verify a detached proof for an altered document',
+          function(done) {
+          signDetached().then(function(proof) {
+            testDocument.name = 'Manu Spornoneous';
+            return jsigs.verify(testDocument, {
+              publicKey: testPublicKey,
+              publicKeyOwner: testPublicKeyOwner,
+              proof
+            });
+          }).then(function(result) {
+            assert.equal(
+              result.verified, false,
+              'signature verification should have failed');
+          }).then(done, done);
+        });
+      });
+
+      describe('w/proof purpose', function() {
+        function sign(options) {
+          return jsigs.sign(testDocument, Object.assign({
+            algorithm: 'Ed25519Signature2018',
+            creator: testPublicKey.id,
+            privateKeyBase58: testPrivateKeyEd25519Base58
+          }, options));
+        }
+
+        function verify(signedDocument, options) {
+          return jsigs.verify(signedDocument, Object.assign({
+            publicKey: testPublicKey,
+            publicKeyOwner: testPublicKeyOwner
+          }, options));
+        }
+
+        beforeEach(function() {
+          // `assertionMethod` and `authentication` are not in security-v2
+          testPublicKeyOwner['@context'] = jsigs.SECURITY_CONTEXT;
+          testPublicKeyOwner.assertionMethod = [testPublicKey.id];
+          testPublicKeyOwner.authentication = [testPublicKey.id];
+        });
+
+        it('should sign and verify an assertionMethod proof', function(done) {
+          sign({proofPurpose: 'assertionMethod'}).then(function(signed) {
+            return verify(signed, {expectedProofPurpose: 'assertionMethod'});
+          }).then(function(result) {
+            assert.equal(
+              result.verified, true, 'signature verification failed');
+          }).then(done, done);
+        });
+
+        it('should reject a proof made for another purpose', function(done) {
+          sign({proofPurpose: 'assertionMethod'}).then(function(signed) {
+            return verify(signed, {expectedProofPurpose: 'authentication'});
+          }).then(function(result) {
+            assert.equal(
+              result.verified, false,
+              'signature verification should have failed');
+            assert.include(
+              result.keyResults[0].error.message, 'expected proof purpose');
+          }).then(done, done);
+        });
+
+        it('should reject a key not authorized for the purpose',
+          function(done) {
+          delete testPublicKeyOwner.assertionMethod;
+          sign({proofPurpose: 'assertionMethod'}).then(function(signed) {
+            return verify(signed);
+          }).then(function(result) {
+            assert.equal(
+              result.verified, false,
+              'signature verification should have failed');
+          }).then(done, done);
+        });
+
+        it('should require a challenge for an authentication proof',
+          function(done) {
+          sign({proofPurpose: 'authentication'}).then(function() {
+            done(new Error('Expected sign to fail.'));
+          }, function(err) {
+            assert.instanceOf(err, TypeError);
+            assert.include(err.message, 'challenge');
+            done();
+          }).catch(done);
+        });
+
+        it('should verify an authentication proof with its challenge',
+          function(done) {
+          sign({proofPurpose: 'authentication', challenge: 'abc123'})
+            .then(function(signed) {
+              assert.equal(
+                signed['https://w3id.org/security#proof']['@graph']
+                  ['https://w3id.org/security#challenge'], 'abc123');
+              return Promise.all([
+                verify(signed, {challenge: 'abc123'}),
+                verify(signed, {challenge: 'other'}),
+                verify(signed)
+              ]);
+            }).then(function(results) {
+              assert.equal(results[0].verified, true);
+              assert.equal(results[1].verified, false);
+              assert.equal(results[2].verified, false);
+            }).then(done, done);
+        });
+
+        it('should use a registered custom proof purpose', function(done) {
+          const term = 'https://example.org/purposes#audit';
+          jsigs.purposes[term] = class extends jsigs.ProofPurpose {
+            constructor(injector) {
+              super(injector, term);
+            }
+            async validate(proof, options) {
+              if(options.auditor !== 'alice') {
+                throw new Error('Unknown auditor.');
+              }
+            }
+          };
+          testPublicKeyOwner[term] = {id: testPublicKey.id};
+          sign({proofPurpose: term}).then(function(signed) {
+            return Promise.all([
+              verify(signed, {auditor: 'alice'}),
+              verify(signed, {auditor: 'bob'})
+            ]);
+          }).then(function(results) {
+            assert.equal(results[0].verified, true);
+            assert.equal(results[1].verified, false);
+          }).then(function() {
+            delete jsigs.purposes[term];
+          }, function(err) {
+            delete jsigs.purposes[term];
+            throw err;
+          }).then(done, done);
+        });
+      });
+
+      describe('w/verifier', function() {
+        it('should verify using a custom verifier', function(done) {
+          const forge = jsigs.use('forge');
+          let verifierKey;
+          jsigs.verify(testDocumentSigned, {
+            publicKey: testPublicKey,
+            publicKeyOwner: testPublicKeyOwner,
+            checkTimestamp: false,
+            verifier: function(key) {
+              verifierKey = key;
+              const publicKey = forge.util.binary.base58.decode(
+                key.publicKeyBase58);
+              return {
+                verify: async ({data, signature}) => forge.ed25519.verify(
+                  {message: data, signature, publicKey})
+              };
+            }
+          }).then(function(result) {
+            assert.equal(verifierKey.id, testPublicKey.id);
+            assert.equal(
+              result.verified, true, 'signature verification failed');
+          }).then(done, done);
+        });
+
+        it('should not verify when the verifier rejects the signature',
+          function(done) {
+          jsigs.verify(testDocumentSigned, {
+            publicKey: testPublicKey,
+            publicKeyOwner: testPublicKeyOwner,
+            checkTimestamp: false,
+            verifier: async () => ({verify: async () => false})
+          }).then(function(result) {
+            assert.equal(
+              result.verified, false,
+              'signature verification should have failed');
+          }).then(done, done);
+        });
+
+        it('should not verify with an invalid verifier', function(done) {
+          jsigs.verify(testDocumentSigned, {
+            publicKey: testPublicKey,
+            publicKeyOwner: testPublicKeyOwner,
+            checkTimestamp: false,
+            verifier: () => ({})
+          }).then(function(result) {
+            assert.equal(result.verified, false);
+            assert.instanceOf(result.keyResults[0].error, TypeError);
+          }).then(done, done);
+        });
+      });
+
+      it('should successfully sign a local document' +
+        ' w/promises API', function(done) {
+        jsigs.sign(testDocument, {
+          algorithm: 'Ed25519Signature2018',
+          privateKeyBase58: testPrivateKeyEd25519Base58,
+          creator: testPublicKey.id
+        }).then(function(signedDocument) {
+          assert.notEqual(
+            signedDocument['https://w3id.org/security#proof'], undefined,
+            'signature was not created');
+          assert.equal(
+            signedDocument['https://w3id.org/security#proof']
+              ['@graph']['http://purl.org/dc/terms/creator']['@id'],
+            testPublicKey.id, 'creator key for signature is wrong');
+        }).then(done, done);
+      });
+
+      it('should successfully verify a local signed document' +
+        ' w/promises API', function(done) {
+        jsigs.verify(testDocumentSigned, {
+          publicKey: testPublicKey,
+          publicKeyOwner: testPublicKeyOwner,
+          // timestamp is quite old, do not check it, it is used to ensure
+          // a static document is being checked
+          checkTimestamp: false
+        }).then(function(result) {
+          assert.equal(result.verified, true, 'signature verification failed');
+        }).then(done, done);
+      });
+
+      it('should successfully sign a local document w/proofPurpose' +
+        ' w/promises API', function(done) {
+        jsigs.sign(testDocument, {
+          algorithm: 'Ed25519Signature2018',
+          privateKeyBase58: testPrivateKeyEd25519Base58,
+          creator: testPublicKey.id,
+          proof: {
+            '@context': 'https://w3id.org/security/v2',
+            proofPurpose: testProofPurpose
+          }
+        }).then(function(signedDocument) {
+          assert.notEqual(
+            signedDocument['https://w3id.org/security#proof'], undefined,
+            'signature was not created');
+          assert.equal(
+            signedDocument['https://w3id.org/security#proof']
+              ['@graph']['http://purl.org/dc/terms/creator']['@id'],
+            testPublicKey.id, 'creator key for signature is wrong');
+          assert.equal(
+            signedDocument['https://w3id.org/security#proof']
+              ['@graph']['https://w3id.org/security#proofPurpose']['@id'],
+            testProofPurpose, 'proof purpose for signature is wrong');
+        }).then(done, done);
+      });
+
+      it('should successfully verify a local signed document w/proofPurpose' +
+        ' w/promises API', function(done) {
+        jsigs.verify(testDocumentWithProofPurposeSigned, {
+          publicKey: testPublicKey,
+          publicKeyOwner: testPublicKeyOwner,
+          // timestamp is quite old, do not check it, it is used to ensure
+          // a static document is being checked
+          checkTimestamp: false
+        }).then(function(result) {
+          assert.equal(result.verified, true, 'signature verification failed');
+        }).then(done, done);
+      });
+
+      it('verify should return false if the document was signed by' +
+        ' a different private key w/promises API', function(done) {
+        jsigs.verify(testDocumentSigned, {
+          publicKey: testInvalidPublicKey,
+          publicKeyOwner: testPublicKeyOwner,
+          // timestamp is quite old, do not check it, it is used to ensure
+          // a static document is being checked
+          checkTimestamp: false
+        }).then(function(result) {
+          assert.equal(result.verified, false,
+            'signature verification should have failed but did not');
+        }).then(done, done);
+      });
+    });
+    describe('signing and verify EcdsaSecp256k1Signature2019', function() {
+
+      var testDocument;
+      var testDocumentSigned;
+      var testDocumentSignedAltered;
+      var testInvalidPublicKey;
+      let testPublicKey;
+      let testPublicKeyOwner;
+
+      beforeEach(function() {
+        testPublicKey = clone(testPublicKeySecp256k1);
+        testPublicKeyOwner = clone(testPublicKeySecp256k1Owner);
+
+        testDocument = {
+          '@context': {
+            schema: 'http://schema.org/',
+            name: 'schema:name',
+            homepage: 'schema:url',
+            image: 'schema:image'
+          },
+          name: 'Manu Sporny',
+          homepage: 'https://manu.sporny.org/',
+          image: 'https://manu.sporny.org/images/manu.png'
+        };
+
+        testDocumentSigned = clone(testDocument);
+        testDocumentSigned["https://w3id.org/security#proof"] = {
+          "@graph": {
+            "@type": "https://w3id.org/security#EcdsaSecp256k1Signature2019",
+            "http://purl.org/dc/terms/created": {
+              "@type": "http://www.w3.org/2001/XMLSchema#dateTime",
+              "@value": "2026-10-19T14:45:38Z"
+            },
+            "http://purl.org/dc/terms/creator": {
+              "@id": testPublicKey.id
+            },
+            "https://w3id.org/security#jws":
+              "eyJhbGciOiJFUzI1NksiLCJiNjQiOmZhbHNlLCJjcml0IjpbImI2NCJdfQ" +
+              ".." +
+              "QtlHVPkm48QbfqdJAUhjI_5YMzIxhIPdpXkzNtBcjyxLe8YeCLKyyr4mCssq" +
+              "Q7H2R-bITSlgraO-8T0fNqvxpA"
+          }
+        };
+        testDocumentSignedAltered = clone(testDocumentSigned);
+        testDocumentSignedAltered.name = 'Manu Spornoneous';
+
+        testInvalidPublicKey = clone(testPublicKeySecp256k1);
+        testInvalidPublicKey.publicKeyHex =
+          '031f5714b734b87464ae9ace991730980a4e5213bfbfa00bd4e92cab934c69ef18';
+      });
+
+      it('should successfully sign a local document', function(done) {
+        jsigs.sign(testDocument, {
+          algorithm: 'EcdsaSecp256k1Signature2019',
+          creator: testPublicKey.id,
+          privateKeyHex: testPrivateKeySecp256k1Hex
+        }, function(err, signedDocument) {
+          assert.ifError(err);
+          assert.notEqual(
+            signedDocument['https://w3id.org/security#proof'], undefined,
+            'signature was not created');
+          assert.equal(
+            signedDocument['https://w3id.org/security#proof']
+              ['@graph']['http://purl.org/dc/terms/creator']['@id'],
+            testPublicKey.id,
+            'creator key for signature is wrong');
+          const jws = signedDocument['https://w3id.org/security#proof']
+            ['@graph']['https://w3id.org/security#jws'];
+          const header = JSON.parse(jsigs._decodeBase64Url(
+            jws.split('.')[0], {forge: jsigs.use('forge')}));
+          assert.equal(header.alg, 'ES256K');
+          done();
+        });
+      });
+
+      it('should successfully sign a local document w/privateKeyJwk',
+        function(done) {
+        jsigs.sign(testDocument, {
+          algorithm: 'EcdsaSecp256k1Signature2019',
+          creator: testPublicKey.id,
+          privateKeyJwk: testPrivateKeySecp256k1Jwk
+        }).then(function(signedDocument) {
+          return jsigs.verify(signedDocument, {
+            publicKey: testPublicKey,
+            publicKeyOwner: testPublicKeyOwner
+          });
+        }).then(function(result) {
+          assert.equal(result.verified, true, 'signature verification failed');
+        }).then(done, done);
+      });
+
+      it('should verify with a public key given as PEM', function(done) {
+        testPublicKey.publicKeyPem = jsigs.convertPublicKey(
+          testPublicKey, 'publicKeyPem', {keyAlgorithm: 'secp256k1'});
+        delete testPublicKey.publicKeyHex;
+        jsigs.verify(testDocumentSigned, {
+          publicKey: testPublicKey,
+          publicKeyOwner: testPublicKeyOwner,
+          checkTimestamp: false
+        }).then(function(result) {
+          assert.equal(result.keyResults[0].error, undefined);
+          assert.equal(result.verified, true, 'signature verification failed');
+        }).then(done, done);
+      });
+
+      it('should successfully verify a local signed document', function(done) {
+        jsigs.verify(testDocumentSigned, {
+          publicKey: testPublicKey,
+          publicKeyOwner: testPublicKeyOwner,
+          // timestamp is quite old, do not check it, it is used to ensure
+          // a static document is being checked
+          checkTimestamp: false
+        }, function(err, result) {
+          assert.ifError(err);
+          assert.equal(result.verified, true, 'signature verification failed');
+          done();
+        });
+      });
+
+      it('should successfully verify a local signed document w/publicKeyJwk',
+        function(done) {
+        delete testPublicKey.publicKeyHex;
+        testPublicKey.publicKeyJwk = testPublicKeySecp256k1Jwk;
+        testPublicKeyOwner.publicKey = [testPublicKey];
+        jsigs.verify(testDocumentSigned, {
+          publicKey: testPublicKey,
+          publicKeyOwner: testPublicKeyOwner,
+          // timestamp is quite old, do not check it, it is used to ensure
+          // a static document is being checked
+          checkTimestamp: false
+        }).then(function(result) {
+          assert.equal(result.verified, true, 'signature verification failed');
+        }).then(done, done);
+      });
+
+      it('verify should return false if the document was signed by a ' +
+        'different private key', function(done) {
+        jsigs.verify(testDocumentSigned, {
+          publicKey: testInvalidPublicKey,
+          publicKeyOwner: testPublicKeyOwner,
+          // timestamp is quite old, do not check it, it is used to ensure
+          // a static document is being checked
+          checkTimestamp: false
+        }, function(err, result) {
+          assert.ifError(err);
+          assert.equal(
+            result.verified, false,
+            'signature verification should have failed');
+          done();
+        });
+      });
+
+      it('verify returns false if the document was altered after signing',
+        function(done) {
+          jsigs.verify(testDocumentSignedAltered, {
+            publicKey: testPublicKey,
+            publicKeyOwner: testPublicKeyOwner,
+            // timestamp is quite old, do not check it, it is used to ensure
+            // a static document is being checked
+            checkTimestamp: false
+          }, function(err, result) {
+            assert.ifError(err);
+            assert.equal(
+              result.verified, false,
+              'signature verification should have failed');
+            done();
+          });
+        });
+    });
+    [{
+      algorithm: 'EcdsaSecp256r1Signature2019',
+      alg: 'ES256',
+      // fixtures are defined below
+      keys: () => ({
+        publicKey: testPublicKeyP256,
+        privateKeyHex: testPrivateKeyP256Hex,
+        privateKeyJwk: testPrivateKeyP256Jwk
+      })
+    }, {
+      algorithm: 'EcdsaSecp384r1Signature2019',
+      alg: 'ES384',
+      keys: () => ({
+        publicKey: testPublicKeyP384,
+        privateKeyHex: testPrivateKeyP384Hex,
+        privateKeyJwk: testPrivateKeyP384Jwk
+      })
+    }].forEach(function(suite) {
+      describe('signing and verify ' + suite.algorithm, function() {
+
+        var testDocument;
+        let testPublicKey;
+        let testPublicKeyOwner;
+        let keys;
+
+        beforeEach(function() {
+          keys = suite.keys();
+          testPublicKey = clone(keys.publicKey);
+          testPublicKeyOwner = {
+            '@context': jsigs.SECURITY_CONTEXT,
+            id: testPublicKey.owner,
+            publicKey: [testPublicKey]
+          };
+
+          testDocument = {
+            '@context': {
+              schema: 'http://schema.org/',
+              name: 'schema:name',
+              homepage: 'schema:url',
+              image: 'schema:image'
+            },
+            name: 'Manu Sporny',
+            homepage: 'https://manu.sporny.org/',
+            image: 'https://manu.sporny.org/images/manu.png'
+          };
+        });
+
+        it('should successfully sign and verify a local document',
+          function(done) {
+          jsigs.sign(testDocument, {
+            algorithm: suite.algorithm,
+            creator: testPublicKey.id,
+            privateKeyHex: keys.privateKeyHex
+          }).then(function(signedDocument) {
+            const jws = signedDocument['https://w3id.org/security#proof']
+              ['@graph']['https://w3id.org/security#jws'];
+            const header = JSON.parse(jsigs._decodeBase64Url(
+              jws.split('.')[0], {forge: jsigs.use('forge')}));
+            assert.equal(header.alg, suite.alg);
+            return jsigs.verify(signedDocument, {
+              publicKey: testPublicKey,
+              publicKeyOwner: testPublicKeyOwner
+            });
+          }).then(function(result) {
+            assert.equal(
+              result.verified, true, 'signature verification failed');
+          }).then(done, done);
+        });
+
+        it('should successfully sign w/privateKeyJwk and verify ' +
+          'w/publicKeyJwk', function(done) {
+          const jwk = clone(keys.privateKeyJwk);
+          delete jwk.d;
+          delete testPublicKey.publicKeyHex;
+          testPublicKey.publicKeyJwk = jwk;
+          testPublicKeyOwner.publicKey = [testPublicKey];
+          jsigs.sign(testDocument, {
+            algorithm: suite.algorithm,
+            creator: testPublicKey.id,
+            privateKeyJwk: keys.privateKeyJwk
+          }).then(function(signedDocument) {
+            return jsigs.verify(signedDocument, {
+              publicKey: testPublicKey,
+              publicKeyOwner: testPublicKeyOwner
+            });
+          }).then(function(result) {
+            assert.equal(
+              result.verified, true, 'signature verification failed');
+          }).then(done, done);
+        });
+
+        it('verify returns false if the document was altered after signing',
+          function(done) {
+          jsigs.sign(testDocument, {
+            algorithm: suite.algorithm,
+            creator: testPublicKey.id,
+            privateKeyHex: keys.privateKeyHex
+          }).then(function(signedDocument) {
+            signedDocument.name = 'Manu Spornoneous';
+            return jsigs.verify(signedDocument, {
+              publicKey: testPublicKey,
+              publicKeyOwner: testPublicKeyOwner
+            });
+          }).then(function(result) {
+            assert.equal(
+              result.verified, false,
+              'signature verification should have failed');
+          }).then(done, done);
+        });
+
+        it('verify returns false if the key is for a different curve',
+          function(done) {
+          jsigs.sign(testDocument, {
+            algorithm: suite.algorithm,
+            creator: testPublicKey.id,
+            privateKeyHex: keys.privateKeyHex
+          }).then(function(signedDocument) {
+            testPublicKey.publicKeyHex = testPublicKeySecp256k1Hex;
+            testPublicKeyOwner.publicKey = [testPublicKey];
+            return jsigs.verify(signedDocument, {
+              publicKey: testPublicKey,
+              publicKeyOwner: testPublicKeyOwner
+            });
+          }).then(function(result) {
+            assert.equal(
+              result.verified, false,
+              'signature verification should have failed');
+          }).then(done, done);
+        });
+      });
+    });
+    describe('signing and verify JsonWebSignature2020', function() {
+
+      var testDocument;
+
+      // fixtures are defined below
+      const getJwks = () => [
+        {alg: 'EdDSA', jwk: testPrivateKeyEd25519Jwk},
+        {alg: 'ES256', jwk: testPrivateKeyP256Jwk},
+        {alg: 'ES256K', jwk: testPrivateKeySecp256k1Jwk},
+        {alg: 'PS256', jwk: testPrivateKeyRsaJwk}
+      ];
+
+      function createJsonWebKey(privateKeyJwk) {
+        const publicKeyJwk = clone(privateKeyJwk);
+        ['d', 'p', 'q', 'dp', 'dq', 'qi'].forEach(p => delete publicKeyJwk[p]);
+        const publicKey = {
+          '@context': jsigs.SECURITY_CONTEXT,
+          id: 'https://example.com/i/grace/keys/1',
+          type: 'JsonWebKey2020',
+          owner: 'https://example.com/i/grace',
+          publicKeyJwk
+        };
+        const publicKeyOwner = {
+          '@context': jsigs.SECURITY_CONTEXT,
+          id: 'https://example.com/i/grace',
+          publicKey: [publicKey]
+        };
+        return {publicKey, publicKeyOwner};
+      }
+
+      beforeEach(function() {
+        testDocument = {
+          '@context': {
+            schema: 'http://schema.org/',
+            name: 'schema:name',
+            homepage: 'schema:url',
+            image: 'schema:image'
+          },
+          name: 'Manu Sporny',
+          homepage: 'https://manu.sporny.org/',
+          image: 'https://manu.sporny.org/images/manu.png'
+        };
+      });
+
+      it('should sign and verify using only JWKs', function(done) {
+        Promise.all(getJwks().map(({alg, jwk}) => {
+          const {publicKey, publicKeyOwner} = createJsonWebKey(jwk);
+          return jsigs.sign(testDocument, {
+            algorithm: 'JsonWebSignature2020',
+            creator: publicKey.id,
+            privateKeyJwk: jwk
+          }).then(function(signedDocument) {
+            const jws = signedDocument['https://w3id.org/security#proof']
+              ['@graph']['https://w3id.org/security#jws'];
+            const header = JSON.parse(jsigs._decodeBase64Url(
+              jws.split('.')[0], {forge: jsigs.use('forge')}));
+            assert.equal(header.alg, alg);
+            return jsigs.verify(signedDocument, {publicKey, publicKeyOwner});
+          }).then(function(result) {
+            assert.equal(
+              result.verified, true,
+              'signature verification failed for ' + alg);
+          });
+        })).then(() => done(), done);
+      });
+
+      it('verify returns false if the document was altered after signing',
+        function(done) {
+        const {publicKey, publicKeyOwner} = createJsonWebKey(
+          testPrivateKeyEd25519Jwk);
+        jsigs.sign(testDocument, {
+          algorithm: 'JsonWebSignature2020',
+          creator: publicKey.id,
+          privateKeyJwk: testPrivateKeyEd25519Jwk
+        }).then(function(signedDocument) {
+          signedDocument.name = 'Manu Spornoneous';
+          return jsigs.verify(signedDocument, {publicKey, publicKeyOwner});
+        }).then(function(result) {
+          assert.equal(
+            result.verified, false,
+            'signature verification should have failed');
+        }).then(done, done);
+      });
+
+      it('verify returns false if the JWS alg does not match the key',
+        function(done) {
+        const {publicKey, publicKeyOwner} = createJsonWebKey(
+          testPrivateKeySecp256k1Jwk);
+        jsigs.sign(testDocument, {
+          algorithm: 'JsonWebSignature2020',
+          creator: publicKey.id,
+          privateKeyJwk: testPrivateKeyP256Jwk
+        }).then(function(signedDocument) {
+          return jsigs.verify(signedDocument, {publicKey, publicKeyOwner});
+        }).then(function(result) {
+          assert.equal(
+            result.verified, false,
+            'signature verification should have failed');
+          assert.include(
+            result.keyResults[0].error.message, 'Invalid JWS header');
+        }).then(done, done);
+      });
+
+      it('should fail to sign with an unsupported JWK', function(done) {
+        jsigs.sign(testDocument, {
+          algorithm: 'JsonWebSignature2020',
+          creator: 'https://example.com/i/grace/keys/1',
+          privateKeyJwk: {kty: 'oct', k: 'AAAA', d: 'AAAA'}
+        }, function(err) {
+          assert(err);
+          assert.include(err.message, 'Unsupported JWK');
+          assert.equal(err.code, 'unsupported-algorithm');
+          done();
+        });
+      });
+
+      it('should report an unsupported JWK', function(done) {
+        const {publicKey, publicKeyOwner} = createJsonWebKey(
+          testPrivateKeyEd25519Jwk);
+        jsigs.sign(testDocument, {
+          algorithm: 'JsonWebSignature2020',
+          creator: publicKey.id,
+          privateKeyJwk: testPrivateKeyEd25519Jwk
+        }).then(function(signedDocument) {
+          publicKey.publicKeyJwk = {kty: 'oct', k: 'AAAA'};
+          return jsigs.verify(signedDocument, {publicKey, publicKeyOwner});
+        }).then(function(result) {
+          const error = result.keyResults[0].error;
+          assert.equal(result.verified, false);
+          assert.instanceOf(error, jsigs.errors.UnsupportedAlgorithmError);
+          assert.equal(error.code, 'unsupported-algorithm');
+        }).then(done, done);
+      });
+
+      it('should report an invalid JWK parameter', function(done) {
+        Promise.all([
+          testPrivateKeyEd25519Jwk, testPrivateKeySecp256k1Jwk
+        ].map(function(jwk) {
+          const {publicKey, publicKeyOwner} = createJsonWebKey(jwk);
+          return jsigs.sign(testDocument, {
+            algorithm: 'JsonWebSignature2020',
+            creator: publicKey.id,
+            privateKeyJwk: jwk
+          }).then(function(signedDocument) {
+            publicKey.publicKeyJwk.x = 'A';
+            return jsigs.verify(signedDocument, {publicKey, publicKeyOwner});
+          }).then(function(result) {
+            const error = result.keyResults[0].error;
+            assert.equal(result.verified, false);
+            assert.instanceOf(error, jsigs.errors.InvalidKeyError);
+            assert.equal(error.code, 'invalid-key');
+          });
+        })).then(() => done(), done);
+      });
+    });
+    describe('signing and verify Ed25519Signature2020', function() {
+
+      var testDocument;
+      let testPublicKey;
+      let testPublicKeyOwner;
+
+      beforeEach(function() {
+        testPublicKey = clone(testPublicKeyEd25519Multibase);
+        testPublicKeyOwner = {
+          '@context': jsigs.SECURITY_CONTEXT,
+          id: testPublicKey.owner,
+          publicKey: [testPublicKey]
+        };
+
+        testDocument = {
+          '@context': [{
+            '@version': 1.1,
+            schema: 'http://schema.org/',
+            name: 'schema:name',
+            homepage: 'schema:url',
+            image: 'schema:image'
+          }, jsigs.ED25519_2020_CONTEXT_URL],
+          name: 'Manu Sporny',
+          homepage: 'https://manu.sporny.org/',
+          image: 'https://manu.sporny.org/images/manu.png'
+        };
+      });
+
+      it('should successfully sign a local document', function(done) {
+        jsigs.sign(testDocument, {
+          algorithm: 'Ed25519Signature2020',
+          creator: testPublicKey.id,
+          privateKeyBase58: testPrivateKeyEd25519Base58
+        }, function(err, signedDocument) {
+          assert.ifError(err);
+          assert.equal(signedDocument.proof.type, 'Ed25519Signature2020');
+          assert.equal(signedDocument.proof.jws, undefined);
+          assert.isString(signedDocument.proof.proofValue);
+          assert.equal(signedDocument.proof.proofValue[0], 'z');
+          done();
+        });
+      });
+
+      it('should successfully sign and verify a local document',
+        function(done) {
+        jsigs.sign(testDocument, {
+          algorithm: 'Ed25519Signature2020',
+          creator: testPublicKey.id,
+          privateKeyBase58: testPrivateKeyEd25519Base58
+        }).then(function(signedDocument) {
+          return jsigs.verify(signedDocument, {
+            publicKey: testPublicKey,
+            publicKeyOwner: testPublicKeyOwner
+          });
+        }).then(function(result) {
+          assert.equal(result.verified, true, 'signature verification failed');
+        }).then(done, done);
+      });
+
+      it('verify returns false if the document was altered after signing',
+        function(done) {
+        jsigs.sign(testDocument, {
+          algorithm: 'Ed25519Signature2020',
+          creator: testPublicKey.id,
+          privateKeyBase58: testPrivateKeyEd25519Base58
+        }).then(function(signedDocument) {
+          signedDocument.name = 'Manu Spornoneous';
+          return jsigs.verify(signedDocument, {
+            publicKey: testPublicKey,
+            publicKeyOwner: testPublicKeyOwner
+          });
+        }).then(function(result) {
+          assert.equal(
+            result.verified, false,
+            'signature verification should have failed');
+        }).then(done, done);
+      });
+
+      it('should report an invalid proofValue', function(done) {
+        jsigs.sign(testDocument, {
+          algorithm: 'Ed25519Signature2020',
+          creator: testPublicKey.id,
+          privateKeyBase58: testPrivateKeyEd25519Base58
+        }).then(function(signedDocument) {
+          signedDocument.proof.proofValue = 'z0OIl';
+          return jsigs.verify(signedDocument, {
+            publicKey: testPublicKey,
+            publicKeyOwner: testPublicKeyOwner
+          });
+        }).then(function(result) {
+          const error = result.keyResults[0].error;
+          assert.equal(result.verified, false);
+          assert.instanceOf(error, jsigs.errors.InvalidProofError);
+          assert.equal(error.code, 'invalid-proof');
+        }).then(done, done);
+      });
+
+      it('should report an invalid publicKeyMultibase', function(done) {
+        jsigs.sign(testDocument, {
+          algorithm: 'Ed25519Signature2020',
+          creator: testPublicKey.id,
+          privateKeyBase58: testPrivateKeyEd25519Base58
+        }).then(function(signedDocument) {
+          testPublicKey.publicKeyMultibase = 'z0OIl';
+          return jsigs.verify(signedDocument, {
+            publicKey: testPublicKey,
+            publicKeyOwner: testPublicKeyOwner
+          });
+        }).then(function(result) {
+          const error = result.keyResults[0].error;
+          assert.equal(result.verified, false);
+          assert.instanceOf(error, jsigs.errors.InvalidKeyError);
+          assert.equal(error.code, 'invalid-key');
+        }).then(done, done);
+      });
+
+      it('verify returns false for an Ed25519VerificationKey2018 key',
+        function(done) {
+        jsigs.sign(testDocument, {
+          algorithm: 'Ed25519Signature2020',
+          creator: testPublicKey.id,
+          privateKeyBase58: testPrivateKeyEd25519Base58
+        }).then(function(signedDocument) {
+          testPublicKey.type = 'Ed25519VerificationKey2018';
+          testPublicKeyOwner.publicKey = [testPublicKey];
+          return jsigs.verify(signedDocument, {
+            publicKey: testPublicKey,
+            publicKeyOwner: testPublicKeyOwner
+          });
+        }).then(function(result) {
+          assert.equal(
+            result.verified, false,
+            'signature verification should have failed');
+        }).then(done, done);
+      });
+    });
+
+    describe('signing and verify w/did:key', function() {
+      // same key material as `testPublicKeyEd25519Multibase`
+      const didKeyEd25519 =
+        'did:key:z6MkvRsV39xVQc8HevAQwCqEw18DwrEtzVLz8NJY15NtfMmD';
+      const didKeySecp256k1 =
+        'did:key:zQ3shYSqEetLNJARs7H8Qa1dX56WFSV347teHjgKJooiHhCrV';
+      const didKeyP256 =
+        'did:key:zDnaeh6bVY6qGgrsAD8SNqa6L9p6GMhWNQeBBFfKTFTz4j2Qt';
+      const creator = did => did + '#' + did.substr('did:key:'.length);
+
+      let testDocument;
+
+      beforeEach(function() {
+        testDocument = {
+          '@context': {
+            schema: 'http://schema.org/',
+            name: 'schema:name'
+          },
+          name: 'Manu Sporny'
+        };
+      });
+
+      [{
+        algorithm: 'Ed25519Signature2018',
+        did: didKeyEd25519,
+        options: () => ({privateKeyBase58: testPrivateKeyEd25519Base58})
+      }, {
+        algorithm: 'Ed25519Signature2020',
+        did: didKeyEd25519,
+        options: () => ({privateKeyBase58: testPrivateKeyEd25519Base58})
+      }, {
+        algorithm: 'EcdsaSecp256k1Signature2019',
+        did: didKeySecp256k1,
+        options: () => ({privateKeyHex: testPrivateKeySecp256k1Hex})
+      }, {
+        algorithm: 'JsonWebSignature2020',
+        did: didKeyP256,
+        options: () => ({privateKeyJwk: testPrivateKeyP256Jwk})
+      }].forEach(function(test) {
+        it('should verify a ' + test.algorithm + ' signature offline',
+          function(done) {
+          jsigs.sign(testDocument, Object.assign({
+            algorithm: test.algorithm,
+            creator: creator(test.did),
+            proofPurpose: 'assertionMethod'
+          }, test.options())).then(function(signedDocument) {
+            return jsigs.verify(signedDocument, {
+              expectedProofPurpose: 'assertionMethod'
+            });
+          }).then(function(result) {
+            assert.equal(result.keyResults[0].error, undefined);
+            assert.equal(
+              result.verified, true, 'signature verification failed');
+          }).then(done, done);
+        });
+      });
+
+      it('should not verify with a did:key for another key', function(done) {
+        jsigs.sign(testDocument, {
+          algorithm: 'Ed25519Signature2018',
+          creator: creator(didKeyEd25519),
+          privateKeyBase58: testPrivateKeyEd25519Base58
+        }).then(function(signedDocument) {
+          const proof =
+            signedDocument['https://w3id.org/security#proof']['@graph'];
+          proof['http://purl.org/dc/terms/creator']['@id'] =
+            creator(didKeySecp256k1);
+          return jsigs.verify(signedDocument);
+        }).then(function(result) {
+          assert.equal(
+            result.verified, false,
+            'signature verification should have failed');
+        }).then(done, done);
+      });
+
+      it('should resolve a did:key DID document', function(done) {
+        jsigs.getJsonLd(didKeyEd25519).then(function(didDocument) {
+          assert.equal(didDocument.id, didKeyEd25519);
+          assert.equal(didDocument.publicKey.length, 1);
+          assert.equal(didDocument.publicKey[0].id, creator(didKeyEd25519));
+          assert.equal(
+            didDocument.publicKey[0].type, 'Ed25519VerificationKey2018');
+          assert.equal(
+            didDocument.publicKey[0].publicKeyBase58,
+            testPublicKeyEd25519.publicKeyBase58);
+          assert.deepEqual(
+            didDocument.assertionMethod, [creator(didKeyEd25519)]);
+        }).then(done, done);
+      });
+
+      it('should not resolve an invalid did:key', function(done) {
+        Promise.all([
+          creator(didKeyEd25519) + 'x',
+          'did:key:z0OIl',
+          'did:key:zQ3shYSqEetLNJARs7H8Qa1dX56WFSV347teHjgKJooiHhC'
+        ].map(function(url) {
+          return jsigs.getJsonLd(url).then(function() {
+            throw new Error('Expected resolution to fail.');
+          }, function(err) {
+            assert.instanceOf(err, jsigs.errors.KeyNotFoundError);
+            assert.equal(err.code, 'key-not-found');
+          });
+        })).then(function() {}).then(done, done);
+      });
+    });
+
+    describe('signing and verify w/did:web', function() {
+      const verificationMethod = 'did:web:example.com:i:ivan#key-1';
+
+      let testDocument;
+
+      beforeEach(function() {
+        testDocument = {
+          '@context': {
+            schema: 'http://schema.org/',
+            name: 'schema:name'
+          },
+          name: 'Manu Sporny'
+        };
+      });
+
+      function sign(options) {
+        return jsigs.sign(testDocument, Object.assign({
+          algorithm: 'Ed25519Signature2018',
+          creator: verificationMethod,
+          privateKeyBase58: testPrivateKeyEd25519Base58
+        }, options));
+      }
+
+      it('should verify using the DID document', function(done) {
+        sign({proofPurpose: 'assertionMethod'}).then(function(signed) {
+          return Promise.all([
+            jsigs.verify(signed, {expectedProofPurpose: 'assertionMethod'}),
+            jsigs.verify(signed, {expectedProofPurpose: 'authentication'})
+          ]);
+        }).then(function(results) {
+          assert.equal(results[0].keyResults[0].error, undefined);
+          assert.equal(
+            results[0].verified, true, 'signature verification failed');
+          assert.equal(
+            results[1].verified, false,
+            'signature verification should have failed');
+        }).then(done, done);
+      });
+
+      it('should verify a proof without a proof purpose', function(done) {
+        sign().then(function(signed) {
+          return jsigs.verify(signed);
+        }).then(function(result) {
+          assert.equal(
+            result.verified, true, 'signature verification failed');
+        }).then(done, done);
+      });
+
+      it('should not verify an unauthorized verification method',
+        function(done) {
+        sign({proofPurpose: 'capabilityInvocation', capability: 'urn:zcap:1'})
+          .then(function(signed) {
+            return jsigs.verify(signed);
+          }).then(function(result) {
+            assert.equal(
+              result.verified, false,
+              'signature verification should have failed');
+          }).then(done, done);
+      });
+
+      it('should resolve a verification method', function(done) {
+        jsigs.getJsonLd(verificationMethod).then(function(key) {
+          assert.equal(key.id, verificationMethod);
+          assert.equal(key.controller, 'did:web:example.com:i:ivan');
+          assert.deepEqual(key['@context'], jsigs.SECURITY_CONTEXT);
+        }).then(done, done);
+      });
+
+      it('should fail to resolve an unknown verification method',
+        function(done) {
+        jsigs.getJsonLd('did:web:example.com:i:ivan#key-2').then(function() {
+          done(new Error('Expected resolution to fail.'));
+        }, function(err) {
+          assert.include(err.message, 'not found');
+          assert.instanceOf(err, jsigs.errors.KeyNotFoundError);
+          assert.equal(err.code, 'key-not-found');
+          done();
+        }).catch(done);
+      });
+
+      it('should fetch the DID document from a percent-encoded port',
+        function(done) {
+        const urls = [];
+        jsigs.getJsonLd('did:web:example.com%3A8443:i:ivan', {
+          documentLoader: function(url, callback) {
+            urls.push(url);
+            callback(new Error('Not found.'));
+          }
+        }).then(function() {
+          done(new Error('Expected resolution to fail.'));
+        }, function() {
+          assert.deepEqual(urls, ['https://example.com:8443/i/ivan/did.json']);
+          done();
+        }).catch(done);
+      });
+
+      it('should reject other percent-encoded or reserved characters',
+        function(done) {
+        Promise.all([
+          'did:web:trusted.example%40evil.example',
+          'did:web:trusted.example%3Fx',
+          'did:web:trusted.example%23x',
+          'did:web:trusted.example:i%2F..%2Fx',
+          'did:web:trusted.example:..:x',
+          'did:web:user@trusted.example'
+        ].map(function(did) {
+          return jsigs.getJsonLd(did + '#key-1', {
+            documentLoader: function(url, callback) {
+              callback(new Error('Unexpected load of "' + url + '".'));
+            }
+          }).then(function() {
+            throw new Error('Expected resolution to fail.');
+          }, function(err) {
+            assert.include(err.message, 'Invalid did:web');
+            assert.equal(err.code, 'key-not-found');
+          });
+        })).then(function() {}).then(done, done);
+      });
+    });
+
+    describe('key pairs', function() {
+      const controller = 'https://example.com/i/kim';
+      const suites = {
+        Ed25519VerificationKey2018: 'Ed25519Signature2018',
+        RsaVerificationKey2018: 'RsaSignature2018',
+        EcdsaSecp256k1VerificationKey2019: 'EcdsaSecp256k1Signature2019',
+        EcdsaSecp256r1VerificationKey2019: 'EcdsaSecp256r1Signature2019'
+      };
+      const testDocument = {
+        '@context': {
+          schema: 'http://schema.org/',
+          name: 'schema:name'
+        },
+        name: 'Manu Sporny'
+      };
+
+      Object.keys(suites).forEach(function(type) {
+        describe(type, function() {
+          let keyPair;
+
+          before(function(done) {
+            jsigs.generateKeyPair({
+              type,
+              id: controller + '/keys/' + type,
+              controller
+            }).then(function(result) {
+              keyPair = result;
+            }).then(done, done);
+          });
+
+          it('should sign and verify with a generated key pair',
+            function(done) {
+            const publicKey = keyPair.exportPublicKey();
+            assert.equal(publicKey.type, type);
+            assert.equal(publicKey.controller, controller);
+            keyPair.signer().then(function(signer) {
+              return jsigs.sign(testDocument, {
+                algorithm: suites[type],
+                signer
+              });
+            }).then(function(signedDocument) {
+              return jsigs.verify(signedDocument, {
+                publicKey,
+                publicKeyOwner: {
+                  '@context': jsigs.SECURITY_CONTEXT,
+                  id: controller,
+                  publicKey: [publicKey.id]
+                }
+              });
+            }).then(function(result) {
+              assert.equal(result.keyResults[0].error, undefined);
+              assert.equal(
+                result.verified, true, 'signature verification failed');
+            }).then(done, done);
+          });
+
+          it('should import an exported key pair', function(done) {
+            const keyData = Object.assign(
+              keyPair.exportPublicKey(), keyPair.exportPrivateKey());
+            jsigs.importKeyPair(keyData).then(function(imported) {
+              assert.deepEqual(
+                imported.exportPublicKey(), keyPair.exportPublicKey());
+              assert.deepEqual(
+                imported.exportPrivateKey(), keyPair.exportPrivateKey());
+              assert.equal(imported.fingerprint(), keyPair.fingerprint());
+              assert.equal(
+                imported.verifyFingerprint(keyPair.fingerprint()), true);
+            }).then(done, done);
+          });
+
+          it('should import a public key only', function(done) {
+            jsigs.importKeyPair(keyPair.exportPublicKey())
+              .then(function(imported) {
+                assert.equal(imported.fingerprint(), keyPair.fingerprint());
+                assert.throws(
+                  () => imported.exportPrivateKey(), /no private key/);
+              }).then(done, done);
+          });
+
+          it('should not serialize the private key', function(done) {
+            const json = JSON.parse(JSON.stringify(keyPair));
+            assert.deepEqual(json, keyPair.exportPublicKey());
+            Object.keys(keyPair.exportPrivateKey()).forEach(property => {
+              assert.equal(json[property], undefined);
+            });
+            done();
+          });
+        });
+      });
+
+      it('should generate an Ed25519 key pair from a seed', function(done) {
+        const forge = jsigs.use('forge');
+        const seed = forge.util.binary.raw.encode(
+          forge.util.binary.base58.decode(testPrivateKeyEd25519Base58))
+          .substr(0, 32);
+        jsigs.generateKeyPair({
+          type: 'Ed25519VerificationKey2018',
+          seed
+        }).then(function(keyPair) {
+          assert.deepEqual(keyPair.exportPrivateKey(), {
+            privateKeyBase58: testPrivateKeyEd25519Base58
+          });
+          assert.equal(
+            keyPair.fingerprint(),
+            'z6MkvRsV39xVQc8HevAQwCqEw18DwrEtzVLz8NJY15NtfMmD');
+          assert.equal(keyPair.verifyFingerprint('z6Mk'), false);
+        }).then(done, done);
+      });
+
+      it('should import an encrypted private key', function(done) {
+        let keyPair;
+        let keyData;
+        jsigs.generateKeyPair({
+          type: 'Ed25519VerificationKey2018'
+        }).then(function(result) {
+          keyPair = result;
+          const exported = keyPair.exportPrivateKey({passphrase: 'secret'});
+          assert.equal(exported.privateKeyBase58, undefined);
+          keyData = Object.assign(keyPair.exportPublicKey(), exported);
+          return jsigs.importKeyPair(keyData, {passphrase: 'secret'});
+        }).then(function(imported) {
+          assert.deepEqual(
+            imported.exportPrivateKey(), keyPair.exportPrivateKey());
+          return jsigs.importKeyPair(keyData, {passphrase: 'wrong'});
+        }).then(function() {
+          throw new Error('Expected import to fail.');
+        }, function(err) {
+          assert.include(err.message, 'could not be decrypted');
+        }).then(done, done);
+      });
+
+      it('should not import a key encrypted with other iterations',
+        function(done) {
+        jsigs.generateKeyPair({
+          type: 'Ed25519VerificationKey2018'
+        }).then(function(keyPair) {
+          const keyData = Object.assign(
+            keyPair.exportPublicKey(),
+            keyPair.exportPrivateKey({passphrase: 'secret'}));
+          return Promise.all([1, 1e9].map(function(iterations) {
+            const tampered = clone(keyData);
+            tampered.encryptedPrivateKey.iterations = iterations;
+            return jsigs.importKeyPair(tampered, {passphrase: 'secret'}).then(
+              function() {
+              throw new Error('Expected import to fail.');
+            }, function(err) {
+              assert.instanceOf(err, TypeError);
+              assert.include(err.message, '"encryptedPrivateKey" is invalid');
+            });
+          }));
+        }).then(() => done(), done);
+      });
+
+      it('should not import a mismatched private key', function(done) {
+        jsigs.importKeyPair({
+          type: 'Ed25519VerificationKey2018',
+          publicKeyBase58: testPublicKeyEd25519Base58,
+          privateKeyBase58: testPrivateKeyEd25519Base58.replace(/.$/, '1')
+        }, function(err) {
+          assert.instanceOf(err, TypeError);
+          done();
+        });
+      });
+
+      it('should fail to generate an unknown key type', function(done) {
+        jsigs.generateKeyPair({type: 'BogusKey3000'}, function(err) {
+          assert.include(err.message, 'Unsupported key type');
+          done();
+        });
+      });
+    });
+
+    describe('key encodings', function() {
+      const testDocument = {
+        '@context': {
+          schema: 'http://schema.org/',
+          name: 'schema:name'
+        },
+        name: 'Manu Sporny'
+      };
+      const publicKeyEncodings = [
+        'publicKeyPem', 'publicKeyJwk', 'publicKeyMultibase',
+        'publicKeyBase58', 'publicKeyHex'
+      ];
+      const privateKeyEncodings = [
+        'privateKeyPem', 'privateKeyJwk', 'privateKeyMultibase',
+        'privateKeyBase58', 'privateKeyHex'
+      ];
+      const keyAlgorithms = {
+        Ed25519VerificationKey2018: 'ed25519',
+        RsaVerificationKey2018: 'rsa',
+        EcdsaSecp256k1VerificationKey2019: 'secp256k1',
+        EcdsaSecp256r1VerificationKey2019: 'p256'
+      };
+
+      Object.keys(keyAlgorithms).forEach(function(type) {
+        it('should convert ' + type + ' keys losslessly', function(done) {
+          const keyAlgorithm = keyAlgorithms[type];
+          jsigs.generateKeyPair({type}).then(function(keyPair) {
+            // compare keys via their (canonical) multibase encodings
+            const publicKey = keyPair.exportPublicKey();
+            const privateKey = keyPair.exportPrivateKey();
+            const expectedPublicKey = jsigs.convertPublicKey(
+              publicKey, 'publicKeyMultibase', {keyAlgorithm});
+            const expectedPrivateKey = jsigs.convertPrivateKey(
+              privateKey, 'privateKeyMultibase', {keyAlgorithm});
+            publicKeyEncodings.forEach(function(encoding) {
+              const converted = jsigs.convertPublicKey(
+                publicKey, encoding, {keyAlgorithm});
+              assert.equal(
+                jsigs.convertPublicKey(
+                  {[encoding]: converted}, 'publicKeyMultibase',
+                  {keyAlgorithm}),
+                expectedPublicKey, encoding);
+            });
+            privateKeyEncodings.forEach(function(encoding) {
+              const converted = jsigs.convertPrivateKey(
+                privateKey, encoding, {keyAlgorithm});
+              assert.equal(
+                jsigs.convertPrivateKey(
+                  {[encoding]: converted}, 'privateKeyMultibase',
+                  {keyAlgorithm}),
+                expectedPrivateKey, encoding);
+            });
+            assert.equal(expectedPublicKey, keyPair.fingerprint());
+          }).then(done, done);
+        });
+      });
+
+      it('should convert Ed25519 keys to did:key fingerprints', function(done) {
+        assert.equal(
+          jsigs.convertPublicKey(
+            {publicKeyBase58: testPublicKeyEd25519Base58},
+            'publicKeyMultibase'),
+          'z6MkvRsV39xVQc8HevAQwCqEw18DwrEtzVLz8NJY15NtfMmD');
+        done();
+      });
+
+      it('should convert WIF private keys', function(done) {
+        const wif = 'L4mEi7eEdTNNFQEWaa7JhUKAbtHdVvByGAqvpJKC53mfiqunjBjw';
+        const privateKeyHex = jsigs.convertPrivateKey(
+          {privateKeyWif: wif}, 'privateKeyHex');
+        assert.equal(privateKeyHex.length, 64);
+        assert.equal(
+          jsigs.convertPrivateKey({privateKeyHex}, 'privateKeyWif',
+            {keyAlgorithm: 'secp256k1'}), wif);
+        done();
+      });
+
+      it('should require a key algorithm for ambiguous keys', function(done) {
+        assert.throws(() => jsigs.convertPublicKey(
+          {publicKeyHex: testPublicKeySecp256k1Hex}, 'publicKeyPem'),
+          /key algorithm is required/);
+        assert.throws(() => jsigs.convertPublicKey(
+          {publicKeyHex: testPublicKeySecp256k1Hex}, 'publicKeyPem',
+          {keyAlgorithm: 'rsa'}), /Invalid RSA public key/);
+        done();
+      });
+
+      it('should verify a key given in another encoding', function(done) {
+        const publicKey = Object.assign({}, testPublicKeyEd25519, {
+          publicKeyJwk: jsigs.convertPublicKey(
+            testPublicKeyEd25519, 'publicKeyJwk')
+        });
+        delete publicKey.publicKeyBase58;
+        jsigs.sign(testDocument, {
+          algorithm: 'Ed25519Signature2018',
+          privateKeyPem: jsigs.convertPrivateKey(
+            {privateKeyBase58: testPrivateKeyEd25519Base58}, 'privateKeyPem'),
+          creator: publicKey.id
+        }).then(function(signedDocument) {
+          return jsigs.verify(signedDocument, {
+            publicKey,
+            publicKeyOwner: Object.assign({}, testPublicKeyEd25519Owner, {
+              publicKey: [publicKey.id]
+            })
+          });
+        }).then(function(result) {
+          assert.equal(result.keyResults[0].error, undefined);
+          assert.equal(
+            result.verified, true, 'signature verification failed');
+        }).then(done, done);
+      });
+
+      it('should sign and verify an RSA key given as a JWK', function(done) {
+        let publicKey;
+        jsigs.generateKeyPair({
+          type: 'RsaVerificationKey2018',
+          id: 'https://example.com/i/lee/keys/1',
+          controller: 'https://example.com/i/lee'
+        }).then(function(keyPair) {
+          publicKey = keyPair.exportPublicKey();
+          publicKey.publicKeyJwk = jsigs.convertPublicKey(
+            publicKey, 'publicKeyJwk');
+          delete publicKey.publicKeyPem;
+          return jsigs.sign(testDocument, {
+            algorithm: 'RsaSignature2018',
+            privateKeyJwk: jsigs.convertPrivateKey(
+              keyPair.exportPrivateKey(), 'privateKeyJwk'),
+            creator: publicKey.id
+          });
+        }).then(function(signedDocument) {
+          return jsigs.verify(signedDocument, {
+            publicKey,
+            publicKeyOwner: {
+              '@context': jsigs.SECURITY_CONTEXT,
+              id: publicKey.controller,
+              publicKey: [publicKey.id]
+            }
+          });
+        }).then(function(result) {
+          assert.equal(result.keyResults[0].error, undefined);
+          assert.equal(
+            result.verified, true, 'signature verification failed');
+        }).then(done, done);
+      });
+    });
+
+    describe('document loader cache', function() {
+      let calls;
+      let loader;
+
+      beforeEach(function() {
+        calls = [];
+        loader = function(url) {
+          calls.push(url);
+          if(url === 'https://example.com/missing') {
+            return Promise.reject(new Error('Not found.'));
+          }
+          return Promise.resolve({
+            contextUrl: null,
+            documentUrl: url,
+            document: {id: url}
+          });
+        };
+      });
+
+      function delay(ms) {
+        return new Promise(function(resolve) {
+          setTimeout(resolve, ms);
+        });
+      }
+
+      it('should load each document once', function(done) {
+        const cache = new jsigs.DocumentLoaderCache();
+        const documentLoader = cache.wrap(loader);
+        Promise.all([
+          documentLoader('https://example.com/a'),
+          documentLoader('https://example.com/a')
+        ]).then(function(results) {
+          assert.deepEqual(results[0], results[1]);
+          results[0].document.id = 'changed';
+          return documentLoader('https://example.com/a');
+        }).then(function(remoteDoc) {
+          assert.equal(remoteDoc.document.id, 'https://example.com/a');
+          assert.deepEqual(calls, ['https://example.com/a']);
+          assert.equal(cache.size, 1);
+        }).then(done, done);
+      });
+
+      it('should wrap a callback-based document loader', function(done) {
+        const documentLoader = new jsigs.DocumentLoaderCache().wrap(testLoader);
+        documentLoader(testPublicKeyUrl).then(function(remoteDoc) {
+          assert.deepEqual(remoteDoc.document, testPublicKey);
+        }).then(done, done);
+      });
+
+      it('should reload a document once it expires', function(done) {
+        const cache = new jsigs.DocumentLoaderCache({ttl: 10});
+        const documentLoader = cache.wrap(loader);
+        documentLoader('https://example.com/a').then(function() {
+          return delay(30);
+        }).then(function() {
+          return documentLoader('https://example.com/a');
+        }).then(function() {
+          assert.equal(calls.length, 2);
+        }).then(done, done);
+      });
+
+      it('should evict the least recently used document', function(done) {
+        const cache = new jsigs.DocumentLoaderCache({maxSize: 2});
+        const documentLoader = cache.wrap(loader);
+        documentLoader('https://example.com/a').then(function() {
+          return documentLoader('https://example.com/b');
+        }).then(function() {
+          return documentLoader('https://example.com/a');
+        }).then(function() {
+          return documentLoader('https://example.com/c');
+        }).then(function() {
+          assert.equal(cache.size, 2);
+          return documentLoader('https://example.com/a');
+        }).then(function() {
+          return documentLoader('https://example.com/b');
+        }).then(function() {
+          assert.deepEqual(calls, [
+            'https://example.com/a',
+            'https://example.com/b',
+            'https://example.com/c',
+            'https://example.com/b'
+          ]);
+        }).then(done, done);
+      });
+
+      it('should cache failures for the negative TTL', function(done) {
+        const cache = new jsigs.DocumentLoaderCache({negativeTtl: 10});
+        const documentLoader = cache.wrap(loader);
+        const url = 'https://example.com/missing';
+        documentLoader(url).then(function() {
+          assert.fail('load should have failed');
+        }, function(err) {
+          assert.equal(err.message, 'Not found.');
+          return documentLoader(url).catch(function() {});
+        }).then(function() {
+          assert.equal(calls.length, 1);
+          return delay(30);
+        }).then(function() {
+          return documentLoader(url).catch(function() {});
+        }).then(function() {
+          assert.equal(calls.length, 2);
+          const uncached = new jsigs.DocumentLoaderCache({negativeTtl: 0});
+          return uncached.wrap(loader)(url).catch(function() {});
+        }).then(function() {
+          // let the failure settle before checking it was not cached
+          return delay(0);
+        }).then(function() {
+          assert.equal(calls.length, 3);
+        }).then(done, done);
+      });
+
+      it('should invalidate and set documents', function(done) {
+        const cache = new jsigs.DocumentLoaderCache();
+        const documentLoader = cache.wrap(loader);
+        documentLoader('https://example.com/a').then(function() {
+          assert.equal(cache.invalidate('https://example.com/a'), true);
+          assert.equal(cache.invalidate('https://example.com/a'), false);
+          return documentLoader('https://example.com/a');
+        }).then(function() {
+          assert.equal(calls.length, 2);
+          cache.set('https://example.com/b', {
+            contextUrl: null,
+            documentUrl: 'https://example.com/b',
+            document: {id: 'preloaded'}
+          });
+          return documentLoader('https://example.com/b');
+        }).then(function(remoteDoc) {
+          assert.equal(remoteDoc.document.id, 'preloaded');
+          assert.equal(calls.length, 2);
+          cache.clear();
+          assert.equal(cache.size, 0);
+          return cache.get('https://example.com/b');
+        }).then(function(remoteDoc) {
+          assert.equal(remoteDoc, undefined);
+        }).then(done, done);
+      });
+
+      it('should reject invalid options', function(done) {
+        assert.throws(function() {
+          new jsigs.DocumentLoaderCache({ttl: -1});
+        }, TypeError);
+        assert.throws(function() {
+          new jsigs.DocumentLoaderCache({maxSize: 0});
+        }, TypeError);
+        assert.throws(function() {
+          new jsigs.DocumentLoaderCache().wrap(null);
+        }, TypeError);
+        done();
+      });
+
+      it('should cache key documents when verifying', function(done) {
+        const documentLoader = jsonld.documentLoader;
+        let loads = 0;
+        jsonld.documentLoader = function(url, callback) {
+          loads++;
+          return testLoader(url, callback);
+        };
+        const cache = new jsigs.DocumentLoaderCache();
+        let signed;
+        jsigs.sign(testDocument, {
+          algorithm: 'Ed25519Signature2018',
+          privateKeyBase58: testPrivateKeyEd25519Base58,
+          creator: testPublicKeyEd25519.id
+        }).then(function(signedDocument) {
+          signed = signedDocument;
+          return jsigs.verify(signed, {documentLoaderCache: cache});
+        }).then(function(result) {
+          assert.equal(result.verified, true);
+          assert.ok(loads > 0);
+          const uncachedLoads = loads;
+          return jsigs.verify(signed, {documentLoaderCache: cache})
+            .then(function(result) {
+              assert.equal(result.verified, true);
+              assert.equal(loads, uncachedLoads);
+            });
+        }).then(function() {
+          jsonld.documentLoader = documentLoader;
+          done();
+        }, function(err) {
+          jsonld.documentLoader = documentLoader;
+          done(err);
+        });
+      });
+    });
+
+    describe('offline mode', function() {
+      let signed;
+
+      before(function(done) {
+        jsigs.sign(testDocument, {
+          algorithm: 'Ed25519Signature2018',
+          privateKeyBase58: testPrivateKeyEd25519Base58,
+          creator: testPublicKeyEd25519.id,
+          offline: true
+        }).then(function(signedDocument) {
+          signed = signedDocument;
+        }).then(done, done);
+      });
+
+      it('should verify using only the supplied documents', function(done) {
+        const documents = {};
+        documents[testPublicKeyEd25519.id] = testPublicKeyEd25519;
+        documents[testPublicKeyEd25519Owner.id] = testPublicKeyEd25519Owner;
+        jsigs.verify(signed, {offline: true, documents}).then(function(result) {
+          assert.equal(result.keyResults[0].error, undefined);
+          assert.equal(
+            result.verified, true, 'signature verification failed');
+        }).then(done, done);
+      });
+
+      it('should list the missing URLs', function(done) {
+        const documents = {};
+        documents[testPublicKeyEd25519.id] = testPublicKeyEd25519;
+        Promise.all([
+          jsigs.verify(signed, {offline: true}),
+          jsigs.verify(signed, {offline: true, documents})
+        ]).then(function(results) {
+          assert.equal(results[0].verified, false);
+          assert.deepEqual(
+            results[0].keyResults[0].error.missingUrls,
+            [testPublicKeyEd25519.id]);
+          assert.equal(results[1].verified, false);
+          assert.deepEqual(
+            results[1].keyResults[0].error.missingUrls,
+            [testPublicKeyEd25519Owner.id]);
+          assert.ok(results[1].keyResults[0].error.message.indexOf(
+            testPublicKeyEd25519Owner.id) !== -1);
+        }).then(done, done);
+      });
+
+      it('should fail to sign with a missing context', function(done) {
+        const doc = {
+          '@context': 'https://example.com/contexts/missing',
+          name: 'Manu Sporny'
+        };
+        jsigs.sign(doc, {
+          algorithm: 'Ed25519Signature2018',
+          privateKeyBase58: testPrivateKeyEd25519Base58,
+          creator: testPublicKeyEd25519.id,
+          offline: true
+        }).then(function() {
+          assert.fail('signing should have failed');
+        }, function(err) {
+          assert.deepEqual(
+            err.missingUrls, ['https://example.com/contexts/missing']);
+        }).then(done, done);
+      });
+
+      it('should not accept a document loader', function(done) {
+        jsigs.verify(signed, {
+          offline: true,
+          documentLoader: testLoader
+        }).then(function() {
+          assert.fail('verification should have failed');
+        }, function(err) {
+          assert.equal(err.name, 'TypeError');
+        }).then(done, done);
+      });
+    });
+
+    describe('context pinning', function() {
+      const contextUrl = 'https://example.com/contexts/person/v1';
+      const context = {
+        '@context': {
+          schema: 'http://schema.org/',
+          name: 'schema:name'
+        }
+      };
+      const doc = {'@context': contextUrl, name: 'Manu Sporny'};
+
+      function sign(options) {
+        const documents = {};
+        documents[contextUrl] = context;
+        return jsigs.sign(doc, Object.assign({
+          algorithm: 'Ed25519Signature2018',
+          privateKeyBase58: testPrivateKeyEd25519Base58,
+          creator: testPublicKeyEd25519.id,
+          documents
+        }, options));
+      }
+
+      it('should pin the embedded security contexts', function(done) {
+        assert.equal(
+          jsigs.contextDigests[jsigs.SECURITY_CONTEXT_V1_URL],
+          'sha256-tFRD1Znv8fgsF2A7bNZBxEF75M3EsBMvnKPNuLmyjnk=');
+        assert.equal(
+          jsigs.contextDigests[jsigs.SECURITY_CONTEXT_V2_URL],
+          'sha256-RqfWjaOAPoUtn46DMjK035kyHBYJrWB/qyTQ6zFfaZU=');
+        done();
+      });
+
+      it('should serve embedded contexts before a custom loader',
+        function(done) {
+        const urls = [];
+        const documentLoader = function(url) {
+          urls.push(url);
+          if(url === jsigs.SECURITY_CONTEXT_V2_URL) {
+            return Promise.resolve({
+              contextUrl: null,
+              documentUrl: url,
+              document: {'@context': {'@vocab': 'https://example.com/#'}}
+            });
+          }
+          return new Promise(function(resolve, reject) {
+            testLoader(url, function(err, remoteDoc) {
+              return err ? reject(err) : resolve(remoteDoc);
+            });
+          });
+        };
+        jsigs.sign(testDocument, {
+          algorithm: 'Ed25519Signature2018',
+          privateKeyBase58: testPrivateKeyEd25519Base58,
+          creator: testPublicKeyEd25519.id,
+          documentLoader
+        }).then(function(signed) {
+          assert.equal(signed.name, testDocument.name);
+          assert.notInclude(urls, jsigs.SECURITY_CONTEXT_V1_URL);
+          assert.notInclude(urls, jsigs.SECURITY_CONTEXT_V2_URL);
+        }).then(done, done);
+      });
+
+      it('should check documents loaded by a custom loader', function(done) {
+        const contextDigests = {};
+        contextDigests[contextUrl] = jsigs.getContextDigest(context);
+        jsigs.sign(doc, {
+          algorithm: 'Ed25519Signature2018',
+          privateKeyBase58: testPrivateKeyEd25519Base58,
+          creator: testPublicKeyEd25519.id,
+          contextDigests,
+          documentLoader: function(url, callback) {
+            callback(null, {
+              contextUrl: null,
+              documentUrl: url,
+              document: {'@context': {name: 'http://schema.org/givenName'}}
+            });
+          }
+        }).then(function() {
+          assert.fail('signing should have failed');
+        }, function(err) {
+          const cause = err.details ? err.details.cause : err;
+          assert.instanceOf(cause, jsigs.errors.ContextIntegrityError);
+        }).then(done, done);
+      });
+
+      it('should sign with a context matching its digest', function(done) {
+        const contextDigests = {};
+        contextDigests[contextUrl] = [
+          'sha256-invalid', jsigs.getContextDigest(context)];
+        sign({contextDigests}).then(function(signed) {
+          assert.equal(signed.name, 'Manu Sporny');
+        }).then(done, done);
+      });
+
+      it('should not sign with a changed context', function(done) {
+        const contextDigests = {};
+        contextDigests[contextUrl] = jsigs.getContextDigest({
+          '@context': {
+            schema: 'http://schema.org/',
+            name: 'schema:givenName'
+          }
+        });
+        sign({contextDigests}).then(function() {
+          assert.fail('signing should have failed');
+        }, function(err) {
+          const cause = err.details ? err.details.cause : err;
+          assert.ok(
+            cause.message.indexOf('pinned digest') !== -1, cause.message);
+        }).then(done, done);
+      });
+
+      it('should ignore key order and formatting', function(done) {
+        assert.equal(
+          jsigs.getContextDigest(context),
+          jsigs.getContextDigest(JSON.parse(JSON.stringify({
+            '@context': {
+              name: 'schema:name',
+              schema: 'http://schema.org/'
+            }
+          }, null, 2))));
+        done();
+      });
+    });
+
+    describe('embedded contexts', function() {
+      function signAndVerify(doc) {
+        const documents = {};
+        documents[testPublicKeyEd25519.id] = testPublicKeyEd25519;
+        documents[testPublicKeyEd25519Owner.id] = testPublicKeyEd25519Owner;
+        return jsigs.sign(doc, {
+          algorithm: 'Ed25519Signature2018',
+          privateKeyBase58: testPrivateKeyEd25519Base58,
+          creator: testPublicKeyEd25519.id,
+          offline: true
+        }).then(function(signed) {
+          return jsigs.verify(signed, {offline: true, documents});
+        });
+      }
+
+      it('should sign and verify a credential offline', function(done) {
+        signAndVerify({
+          '@context': [
+            jsigs.CREDENTIALS_CONTEXT_V1_URL,
+            {name: 'http://schema.org/name'}
+          ],
+          type: ['VerifiableCredential'],
+          issuer: testPublicKeyEd25519Owner.id,
+          issuanceDate: '2018-01-01T00:00:00Z',
+          credentialSubject: {id: 'did:example:123', name: 'Manu Sporny'}
+        }).then(function(result) {
+          assert.equal(result.keyResults[0].error, undefined);
+          assert.equal(
+            result.verified, true, 'signature verification failed');
+        }).then(done, done);
+      });
+
+      it('should sign and verify a DID document offline', function(done) {
+        signAndVerify({
+          // the DID context requires JSON-LD 1.1 processing
+          '@context': [{'@version': 1.1}, jsigs.DID_CONTEXT_V1_URL],
+          id: 'did:example:123',
+          service: [{
+            id: 'did:example:123#hub',
+            type: 'IdentityHub',
+            serviceEndpoint: 'https://hub.example.com/'
+          }]
+        }).then(function(result) {
+          assert.equal(result.keyResults[0].error, undefined);
+          assert.equal(
+            result.verified, true, 'signature verification failed');
+        }).then(done, done);
+      });
+
+      it('should add an application context', function(done) {
+        const url = 'https://example.com/contexts/app/v1';
+        const context = {'@context': {name: 'http://schema.org/name'}};
+        jsigs.addContext(url, context);
+        assert.equal(jsigs.contextDigests[url], jsigs.getContextDigest(context));
+        signAndVerify({
+          '@context': url,
+          name: 'Manu Sporny'
+        }).then(function(result) {
+          assert.equal(
+            result.verified, true, 'signature verification failed');
+        }).then(done, done);
+      });
+
+      it('should add a context to one instance only', function(done) {
+        const url = 'https://example.com/contexts/instance/v1';
+        const context = {'@context': {name: 'http://schema.org/name'}};
+        const instance = jsigs();
+        instance.addContext(url, context);
+        assert.equal(instance.contextDigests[url],
+          instance.getContextDigest(context));
+        assert.equal(jsigs.contextDigests[url], undefined);
+        jsigs.sign({'@context': url, name: 'Manu Sporny'}, {
+          algorithm: 'Ed25519Signature2018',
+          privateKeyBase58: testPrivateKeyEd25519Base58,
+          creator: testPublicKeyEd25519.id,
+          documentLoader: function(url, callback) {
+            callback(new Error('Document not found: ' + url));
+          }
+        }).then(function() {
+          assert.fail('should have failed to load the context');
+        }, function(err) {
+          assert.equal(
+            err.details.cause.message, 'Document not found: ' + url);
+        }).then(done, done);
+      });
+
+      it('should not replace an embedded context', function(done) {
+        const instance = jsigs();
+        const context = {'@context': {name: 'http://schema.org/name'}};
+        assert.throws(function() {
+          instance.addContext(
+            'https://w3id.org/security/v2', context);
+        }, TypeError);
+        assert.throws(function() {
+          jsigs.addContext(
+            'https://www.w3.org/2018/credentials/v1', context);
+        }, TypeError);
+        done();
+      });
+    });
+
+    describe('verification checks', function() {
+      let signed;
+
+      before(function(done) {
+        jsigs.sign(testDocument, {
+          algorithm: 'Ed25519Signature2018',
+          privateKeyBase58: testPrivateKeyEd25519Base58,
+          creator: testPublicKeyEd25519.id
+        }).then(function(signedDocument) {
+          signed = signedDocument;
+        }).then(done, done);
+      });
+
+      function getStatuses(result) {
+        const statuses = {};
+        result.keyResults[0].checks.forEach(function(check) {
+          statuses[check.name] = check.status + ':' + check.code;
+        });
+        return statuses;
+      }
+
+      it('should report each passed check', function(done) {
+        jsigs.verify(signed, {checkDomain: false}).then(function(result) {
+          const keyResult = result.keyResults[0];
+          assert.equal(result.verified, true);
+          assert.deepEqual(getStatuses(result), {
+            algorithm: 'passed:ok',
+            previousProofs: 'skipped:not-applicable',
+            nonce: 'passed:ok',
+            domain: 'skipped:disabled',
+            timestamp: 'passed:ok',
+            expiration: 'skipped:not-applicable',
+            proofPurpose: 'passed:ok',
+            keyRetrieval: 'passed:ok',
+            revocation: 'skipped:not-applicable',
+            keyExpiration: 'skipped:not-applicable',
+            ownership: 'passed:ok',
+            keyValidation: 'passed:ok',
+            signature: 'passed:ok'
+          });
+          assert.equal(keyResult.publicKeyDocument.id, testPublicKeyEd25519.id);
+          assert.equal(
+            keyResult.controllerDocument.id, testPublicKeyEd25519Owner.id);
+        }).then(done, done);
+      });
+
+      it('should report passed key revocation and expiration checks',
+        function(done) {
+          const publicKey = clone(testPublicKeyEd25519);
+          publicKey.revoked = '2100-01-01T00:00:00Z';
+          publicKey.expires = '2100-01-01T00:00:00Z';
+          jsigs.verify(signed, {publicKey}).then(function(result) {
+            const statuses = getStatuses(result);
+            assert.equal(result.verified, true);
+            assert.equal(statuses.expiration, 'skipped:not-applicable');
+            assert.equal(statuses.revocation, 'passed:ok');
+            assert.equal(statuses.keyExpiration, 'passed:ok');
+          }).then(done, done);
+        });
+
+      it('should report a revoked key', function(done) {
+        const publicKey = clone(testPublicKeyEd25519);
+        publicKey.revoked = '2018-01-01T00:00:00Z';
+        jsigs.verify(signed, {publicKey}).then(function(result) {
+          const statuses = getStatuses(result);
+          assert.equal(result.verified, false);
+          assert.equal(statuses.keyRetrieval, 'passed:ok');
+          assert.equal(statuses.revocation, 'failed:key-revoked');
+          assert.equal(statuses.ownership, 'skipped:not-reached');
+          assert.equal(statuses.signature, 'skipped:not-reached');
+          const check = result.keyResults[0].checks.find(function(check) {
+            return check.name === 'revocation';
+          });
+          assert.equal(check.error, result.keyResults[0].error);
+          assert.equal(result.keyResults[0].publicKeyDocument.id, publicKey.id);
+        }).then(done, done);
+      });
+
+      it('should report a missing key', function(done) {
+        jsigs.verify(signed, {
+          publicKey: testPublicKeyEd25519Owner
+        }).then(function(result) {
+          const statuses = getStatuses(result);
+          assert.equal(result.verified, false);
+          assert.equal(statuses.keyRetrieval, 'failed:key-not-found');
+          assert.equal(result.keyResults[0].publicKeyDocument, undefined);
+        }).then(done, done);
+      });
+
+      it('should report a key retrieval failure as an error', function(done) {
+        jsigs.verify(signed, {
+          publicKey: function(id, options, callback) {
+            callback(new Error('Network error.'));
+          }
+        }).then(function(result) {
+          const statuses = getStatuses(result);
+          assert.equal(result.verified, false);
+          assert.equal(statuses.keyRetrieval, 'failed:error');
+          assert.equal(result.keyResults[0].error.message, 'Network error.');
+        }).then(done, done);
+      });
+
+      it('should report an invalid signature', function(done) {
+        const tampered = clone(signed);
+        tampered.name = 'Dave Longley';
+        jsigs.verify(tampered).then(function(result) {
+          const statuses = getStatuses(result);
+          assert.equal(result.verified, false);
+          assert.equal(result.keyResults[0].error, undefined);
+          assert.equal(statuses.keyValidation, 'passed:ok');
+          assert.equal(statuses.signature, 'failed:invalid-signature');
+        }).then(done, done);
+      });
+
+      it('should report an unsupported algorithm', function(done) {
+        const unsupported = clone(signed);
+        unsupported['https://w3id.org/security#proof']['@graph']['@type'] =
+          'https://example.com/UnknownSignature';
+        jsigs.verify(unsupported).then(function(result) {
+          const statuses = getStatuses(result);
+          assert.equal(result.verified, false);
+          assert.equal(statuses.algorithm, 'failed:unsupported-algorithm');
+          assert.equal(statuses.nonce, 'skipped:not-reached');
+        }).then(done, done);
+      });
+    });
+
+    describe('errors', function() {
+      let signed;
+
+      before(function(done) {
+        jsigs.sign(testDocument, {
+          algorithm: 'Ed25519Signature2018',
+          privateKeyBase58: testPrivateKeyEd25519Base58,
+          creator: testPublicKeyEd25519.id
+        }).then(function(signedDocument) {
+          signed = signedDocument;
+        }).then(done, done);
+      });
+
+      it('should report a revoked key', function(done) {
+        const publicKey = clone(testPublicKeyEd25519);
+        publicKey.revoked = '2018-01-01T00:00:00Z';
+        jsigs.verify(signed, {publicKey}).then(function(result) {
+          const error = result.keyResults[0].error;
+          assert.instanceOf(error, jsigs.errors.KeyRevokedError);
+          assert.instanceOf(error, jsigs.errors.SignatureError);
+          assert.equal(error.code, 'key-revoked');
+        }).then(done, done);
+      });
+
+      it('should report an untrusted key owner', function(done) {
+        jsigs.verify(signed, {
+          checkKeyOwner: function(owner, key, options) {
+            return Promise.resolve(false);
+          }
+        }).then(function(result) {
+          const error = result.keyResults[0].error;
+          assert.equal(result.verified, false);
+          assert.instanceOf(error, jsigs.errors.UntrustedOwnerError);
+          assert.instanceOf(error, jsigs.errors.UntrustedKeyError);
+          assert.equal(error.code, 'untrusted-owner');
+          const check = result.keyResults[0].checks.find(function(check) {
+            return check.name === 'ownership';
+          });
+          assert.equal(check.code, 'untrusted-owner');
+        }).then(done, done);
+      });
+
+      it('should report an unsupported algorithm', function(done) {
+        jsigs.sign(testDocument, {
+          algorithm: 'UnknownSignature2018',
+          privateKeyBase58: testPrivateKeyEd25519Base58,
+          creator: testPublicKeyEd25519.id
+        }).then(function() {
+          assert.fail('signing should have failed');
+        }, function(err) {
+          assert.instanceOf(err, jsigs.errors.UnsupportedAlgorithmError);
+          assert.equal(err.code, 'unsupported-algorithm');
+        }).then(done, done);
+      });
+
+      it('should report an invalid proof purpose', function(done) {
+        const invalid = clone(signed);
+        invalid['https://w3id.org/security#proof']['@graph']
+          ['https://w3id.org/security#proofPurpose'] = [
+            {'@id': 'https://w3id.org/security#assertionMethod'},
+            {'@id': 'https://w3id.org/security#authenticationMethod'}
+          ];
+        jsigs.verify(invalid).then(function(result) {
+          const error = result.keyResults[0].error;
+          assert.equal(result.verified, false);
+          assert.instanceOf(error, jsigs.errors.ProofPurposeError);
+          assert.equal(error.code, 'invalid-proof-purpose');
+          assert.include(error.message, 'must be a string');
+        }).then(done, done);
+      });
+
+      it('should report an invalid public key encoding', function(done) {
+        jsigs.sign(testDocument, {
+          algorithm: 'EcdsaSecp256k1Signature2019',
+          creator: testPublicKeySecp256k1.id,
+          privateKeyHex: testPrivateKeySecp256k1Hex
+        }).then(function(signedDocument) {
+          const publicKey = clone(testPublicKeySecp256k1);
+          publicKey.publicKeyHex = 'not hex';
+          return jsigs.verify(signedDocument, {
+            publicKey,
+            publicKeyOwner: testPublicKeySecp256k1Owner
+          });
+        }).then(function(result) {
+          const error = result.keyResults[0].error;
+          assert.equal(result.verified, false);
+          assert.instanceOf(error, jsigs.errors.InvalidKeyError);
+          assert.equal(error.code, 'invalid-key');
+        }).then(done, done);
+      });
+
+      it('should report a public key that is not on the curve',
+        function(done) {
+        jsigs.sign(testDocument, {
+          algorithm: 'EcdsaSecp256k1Signature2019',
+          creator: testPublicKeySecp256k1.id,
+          privateKeyHex: testPrivateKeySecp256k1Hex
+        }).then(function(signedDocument) {
+          // a point of the wrong size and an uncompressed point off the curve
+          return Promise.all(['00', '04' + '11'.repeat(64)].map(
+            function(publicKeyHex) {
+            const publicKey = clone(testPublicKeySecp256k1);
+            publicKey.publicKeyHex = publicKeyHex;
+            return jsigs.verify(signedDocument, {
+              publicKey,
+              publicKeyOwner: testPublicKeySecp256k1Owner
+            });
+          }));
+        }).then(function(results) {
+          results.forEach(function(result) {
+            const error = result.keyResults[0].error;
+            assert.equal(result.verified, false);
+            assert.instanceOf(error, jsigs.errors.InvalidKeyError);
+            assert.equal(error.code, 'invalid-key');
+            assert.include(error.message, 'Invalid secp256k1 public key');
+          });
+        }).then(() => done(), done);
+      });
+
+      it('should report a document missing in offline mode', function(done) {
+        jsigs.verify(signed, {offline: true}).then(function(result) {
+          const error = result.keyResults[0].error;
+          assert.instanceOf(error, jsigs.errors.DocumentNotSuppliedError);
+          assert.equal(error.code, 'document-not-supplied');
+        }).then(done, done);
+      });
+    });
+
+    describe('revocation policies', function() {
+      let signed;
+
+      before(function(done) {
+        jsigs.sign(testDocument, {
+          algorithm: 'Ed25519Signature2018',
+          privateKeyBase58: testPrivateKeyEd25519Base58,
+          creator: testPublicKeyEd25519.id
+        }).then(function(signedDocument) {
+          signed = signedDocument;
+        }).then(done, done);
+      });
+
+      function revokedKey(revoked) {
+        const publicKey = clone(testPublicKeyEd25519);
+        publicKey.revoked = revoked;
+        return publicKey;
+      }
+
+      function getRevocationCheck(result) {
+        return result.keyResults[0].checks.find(function(check) {
+          return check.name === 'revocation';
+        });
+      }
+
+      it('should reject a revoked key by default', function(done) {
+        jsigs.verify(signed, {publicKey: revokedKey('2018-01-01T00:00:00Z')})
+          .then(function(result) {
+            assert.equal(result.verified, false);
+            assert.equal(result.keyResults[0].revocationPolicy, 'reject');
+            assert.equal(getRevocationCheck(result).code, 'key-revoked');
+          }).then(done, done);
+      });
+
+      it('should accept a proof created before revocation', function(done) {
+        jsigs.sign(testDocument, {
+          algorithm: 'Ed25519Signature2018',
+          privateKeyBase58: testPrivateKeyEd25519Base58,
+          creator: testPublicKeyEd25519.id,
+          date: '2018-06-01T00:00:00Z'
+        }).then(function(signedDocument) {
+          return jsigs.verify(signedDocument, {
+            publicKey: revokedKey('2019-01-01T00:00:00Z'),
+            checkTimestamp: false,
+            revocationPolicy: 'created'
+          });
+        }).then(function(result) {
+          assert.equal(result.keyResults[0].error, undefined);
+          assert.equal(result.verified, true);
+          assert.equal(result.keyResults[0].revocationPolicy, 'created');
+          const check = getRevocationCheck(result);
+          assert.equal(check.status, 'passed');
+          assert.equal(check.code, 'signed-before-revocation');
+        }).then(done, done);
+      });
+
+      it('should reject a proof created after revocation', function(done) {
+        jsigs.verify(signed, {
+          publicKey: revokedKey('2018-01-01T00:00:00Z'),
+          revocationPolicy: 'created'
+        }).then(function(result) {
+          assert.equal(result.verified, false);
+          assert.instanceOf(
+            result.keyResults[0].error, jsigs.errors.KeyRevokedError);
+        }).then(done, done);
+      });
+
+      it('should compare a trusted timestamp', function(done) {
+        const publicKey = revokedKey('2018-01-01T00:00:00Z');
+        Promise.all([
+          jsigs.verify(signed, {
+            publicKey,
+            revocationPolicy: 'trustedTimestamp',
+            trustedTimestamp: '2017-12-31T00:00:00Z'
+          }),
+          jsigs.verify(signed, {
+            publicKey,
+            revocationPolicy: 'trustedTimestamp',
+            trustedTimestamp: function(proof, options) {
+              assert.equal(typeof proof.created, 'string');
+              return Promise.resolve(new Date('2018-01-02T00:00:00Z'));
+            }
+          })
+        ]).then(function(results) {
+          assert.equal(results[0].verified, true);
+          assert.equal(
+            results[0].keyResults[0].revocationPolicy, 'trustedTimestamp');
+          assert.equal(results[1].verified, false);
+          assert.equal(
+            getRevocationCheck(results[1]).code, 'key-revoked');
+        }).then(done, done);
+      });
+
+      it('should require a trusted timestamp', function(done) {
+        jsigs.verify(signed, {
+          revocationPolicy: 'trustedTimestamp'
+        }).then(function() {
+          assert.fail('verification should have failed');
+        }, function(err) {
+          assert.instanceOf(err, TypeError);
+        }).then(done, done);
+      });
+
+      it('should accept a trusted timestamp in milliseconds', function(done) {
+        const publicKey = revokedKey('2018-01-01T00:00:00Z');
+        Promise.all([
+          jsigs.verify(signed, {
+            publicKey,
+            revocationPolicy: 'trustedTimestamp',
+            trustedTimestamp: Date.parse('2017-12-31T00:00:00Z')
+          }),
+          jsigs.verify(signed, {
+            publicKey,
+            revocationPolicy: 'trustedTimestamp',
+            trustedTimestamp: function(proof, options) {
+              return Promise.resolve(Date.parse('2017-12-31T00:00:00Z'));
+            }
+          })
+        ]).then(function(results) {
+          assert.equal(results[0].verified, true);
+          assert.equal(results[1].verified, true);
+        }).then(done, done);
+      });
+
+      it('should reject a trusted timestamp that is not ISO 8601',
+        function(done) {
+        const publicKey = revokedKey('2018-01-01T00:00:00Z');
+        jsigs.verify(signed, {
+          publicKey,
+          revocationPolicy: 'trustedTimestamp',
+          trustedTimestamp: function(proof, options) {
+            return Promise.resolve('December 31, 2017');
+          }
+        }).then(function(result) {
+          assert.equal(result.verified, false);
+          assert.equal(getRevocationCheck(result).code, 'key-revoked');
+          return jsigs.verify(signed, {
+            publicKey,
+            revocationPolicy: 'trustedTimestamp',
+            trustedTimestamp: 'December 31, 2017'
+          });
+        }).then(function() {
+          assert.fail('verification should have failed');
+        }, function(err) {
+          assert.instanceOf(err, TypeError);
+        }).then(done, done);
+      });
+
+      it('should reject a key with an invalid revocation date',
+        function(done) {
+        Promise.all([
+          'not a date', '2999-01-01', 'January 1, 2999'
+        ].map(function(revoked) {
+          return jsigs.verify(signed, {publicKey: revokedKey(revoked)})
+            .then(function(result) {
+              const error = result.keyResults[0].error;
+              assert.equal(result.verified, false);
+              assert.instanceOf(error, jsigs.errors.InvalidKeyError);
+              assert.equal(getRevocationCheck(result).code, 'invalid-key');
+            });
+        })).then(function() {}).then(done, done);
+      });
+    });
+
+    describe('expiration', function() {
+      const hour = 60 * 60 * 1000;
+
+      function sign(options) {
+        return jsigs.sign(testDocument, Object.assign({
+          algorithm: 'Ed25519Signature2018',
+          privateKeyBase58: testPrivateKeyEd25519Base58,
+          creator: testPublicKeyEd25519.id
+        }, options));
+      }
+
+      function getProof(signed) {
+        return signed['https://w3id.org/security#proof']['@graph'];
+      }
+
+      function getCheck(result, name) {
+        return result.keyResults[0].checks.find(function(check) {
+          return check.name === name;
+        });
+      }
+
+      function expiringKey(expires) {
+        const publicKey = clone(testPublicKeyEd25519);
+        publicKey.expires = expires;
+        return publicKey;
+      }
+
+      it('should write `expires` into the proof', function(done) {
+        sign({expires: '2999-01-01T00:00:00Z'}).then(function(signed) {
+          const proof = getProof(signed);
+          assert.equal(
+            proof['https://w3id.org/security#expiration']['@value'],
+            '2999-01-01T00:00:00Z');
+          return jsigs.verify(signed);
+        }).then(function(result) {
+          assert.equal(result.verified, true);
+          assert.equal(getCheck(result, 'expiration').status, 'passed');
+        }).then(done, done);
+      });
+
+      it('should reject an invalid `expires`', function(done) {
+        Promise.all([
+          sign({expires: 'not a date'}),
+          sign({expires: 'Jan 1 2999'}),
+          sign({date: '2018-02-01T00:00:00Z', expires: '2018-01-01T00:00:00Z'})
+        ].map(function(promise) {
+          return promise.then(function() {
+            assert.fail('signing should have failed');
+          }, function(err) {
+            assert.instanceOf(err, TypeError);
+          });
+        })).then(function() {}).then(done, done);
+      });
+
+      it('should write the signature date in W3C datetime format',
+        function(done) {
+        sign({
+          date: '2018-01-01T01:00:00.5+01:00',
+          expires: '2018-01-01T00:00:01Z'
+        }).then(function(signed) {
+          const proof = getProof(signed);
+          assert.equal(
+            proof['http://purl.org/dc/terms/created']['@value'],
+            '2018-01-01T00:00:00Z');
+        }).then(done, done);
+      });
+
+      it('should reject an invalid signature date', function(done) {
+        Promise.all([
+          sign({date: 'Oct 19 2026'}),
+          sign({date: 'Oct 19 2026', expires: '2999-01-01T00:00:00Z'})
+        ].map(function(promise) {
+          return promise.then(function() {
+            assert.fail('signing should have failed');
+          }, function(err) {
+            assert.instanceOf(err, TypeError);
+            assert.include(err.message, '"options.date"');
+          });
+        })).then(function() {}).then(done, done);
+      });
+
+      it('should reject an expired proof', function(done) {
+        sign({
+          date: '2018-01-01T00:00:00Z',
+          expires: '2018-02-01T00:00:00Z'
+        }).then(function(signed) {
+          return jsigs.verify(signed, {allowLongLivedProofs: true});
+        }).then(function(result) {
+          assert.equal(result.verified, false);
+          assert.instanceOf(
+            result.keyResults[0].error, jsigs.errors.ProofExpiredError);
+          assert.equal(getCheck(result, 'expiration').code, 'proof-expired');
+        }).then(done, done);
+      });
+
+      it('should reject an old proof that has not expired by default',
+        function(done) {
+        sign({
+          date: '2018-01-01T00:00:00Z',
+          expires: new Date(Date.now() + hour)
+        }).then(function(signed) {
+          return jsigs.verify(signed);
+        }).then(function(result) {
+          assert.equal(result.verified, false);
+          assert.instanceOf(
+            result.keyResults[0].error, jsigs.errors.TimestampOutOfRangeError);
+          assert.equal(
+            getCheck(result, 'timestamp').code, 'timestamp-out-of-range');
+        }).then(done, done);
+      });
+
+      it('should accept an old proof that has not expired if allowed',
+        function(done) {
+        sign({
+          date: '2018-01-01T00:00:00Z',
+          expires: new Date(Date.now() + hour)
+        }).then(function(signed) {
+          return jsigs.verify(signed, {allowLongLivedProofs: true});
+        }).then(function(result) {
+          assert.equal(result.verified, true);
+        }).then(done, done);
+      });
+
+      it('should reject an invalid allowLongLivedProofs option',
+        function(done) {
+        sign().then(function(signed) {
+          return jsigs.verify(signed, {allowLongLivedProofs: 'yes'});
+        }).then(function() {
+          assert.fail('verification should have failed');
+        }, function(err) {
+          assert.instanceOf(err, TypeError);
+        }).then(done, done);
+      });
+
+      it('should reject a key with an invalid expiration date',
+        function(done) {
+        sign().then(function(signed) {
+          return Promise.all([
+            'not a date', '2999-01-01', 'January 1, 2999'
+          ].map(function(expires) {
+            return jsigs.verify(signed, {publicKey: expiringKey(expires)});
+          }));
+        }).then(function(results) {
+          results.forEach(function(result) {
+            const error = result.keyResults[0].error;
+            assert.equal(result.verified, false);
+            assert.instanceOf(error, jsigs.errors.InvalidKeyError);
+            assert.equal(getCheck(result, 'keyExpiration').code, 'invalid-key');
+          });
+        }).then(done, done);
+      });
+
+      it('should reject a key that has expired by default', function(done) {
+        sign().then(function(signed) {
+          return jsigs.verify(signed, {
+            publicKey: expiringKey(new Date(Date.now() - hour).toISOString())
+          });
+        }).then(function(result) {
+          assert.equal(result.verified, false);
+          assert.equal(
+            result.keyResults[0].keyExpirationPolicy, 'verification');
+          assert.instanceOf(
+            result.keyResults[0].error, jsigs.errors.KeyExpiredError);
+          assert.equal(getCheck(result, 'keyExpiration').code, 'key-expired');
+        }).then(done, done);
+      });
+
+      it('should check key expiration at creation if asked', function(done) {
+        const publicKey = expiringKey('2018-02-01T00:00:00Z');
+        Promise.all([
+          sign({date: '2018-01-01T00:00:00Z'}),
+          sign({date: '2018-03-01T00:00:00Z'})
+        ]).then(function(signed) {
+          return Promise.all(signed.map(function(signedDocument) {
+            return jsigs.verify(signedDocument, {
+              publicKey,
+              checkTimestamp: false,
+              keyExpirationPolicy: 'created'
+            });
+          }));
+        }).then(function(results) {
+          assert.equal(results[0].verified, true);
+          assert.equal(results[0].keyResults[0].keyExpirationPolicy, 'created');
+          assert.equal(results[1].verified, false);
+          assert.instanceOf(
+            results[1].keyResults[0].error, jsigs.errors.KeyExpiredError);
+        }).then(done, done);
+      });
+
+      it('should reject an unknown key expiration policy', function(done) {
+        jsigs.verify(testDocument, {
+          keyExpirationPolicy: 'never'
+        }).then(function() {
+          assert.fail('verification should have failed');
+        }, function(err) {
+          assert.instanceOf(err, TypeError);
+        }).then(done, done);
+      });
+    });
+
+    describe('point-in-time verification', function() {
+      let signed;
+
+      before(function(done) {
+        jsigs.sign(testDocument, {
+          algorithm: 'Ed25519Signature2018',
+          privateKeyBase58: testPrivateKeyEd25519Base58,
+          creator: testPublicKeyEd25519.id,
+          expires: '2018-02-01T00:00:00Z',
+          now: function() {
+            return new Date('2018-01-01T00:00:00Z');
+          }
+        }).then(function(signedDocument) {
+          signed = signedDocument;
+        }).then(done, done);
+      });
+
+      function getCheck(result, name) {
+        return result.keyResults[0].checks.find(function(check) {
+          return check.name === name;
+        });
+      }
+
+      it('should sign with the time given by `now`', function(done) {
+        const proof = signed['https://w3id.org/security#proof']['@graph'];
+        assert.equal(
+          proof['http://purl.org/dc/terms/created']['@value'],
+          '2018-01-01T00:00:00Z');
+        done();
+      });
+
+      it('should check the timestamp and expiration as of `verifyAt`',
+        function(done) {
+          Promise.all([
+            jsigs.verify(signed, {verifyAt: '2018-01-01T00:05:00Z'}),
+            jsigs.verify(signed, {
+              now: function() {
+                return Date.parse('2018-01-01T00:05:00Z');
+              }
+            }),
+            jsigs.verify(signed, {
+              verifyAt: '2018-03-01T00:00:00Z',
+              allowLongLivedProofs: true
+            }),
+            jsigs.verify(signed, {allowLongLivedProofs: true})
+          ]).then(function(results) {
+            assert.equal(results[0].verified, true);
+            assert.equal(results[1].verified, true);
+            assert.equal(results[2].verified, false);
+            assert.equal(
+              getCheck(results[2], 'expiration').code, 'proof-expired');
+            assert.equal(results[3].verified, false);
+            assert.equal(
+              getCheck(results[3], 'expiration').code, 'proof-expired');
+          }).then(done, done);
+        });
+
+      it('should check revocation and key expiration as of `verifyAt`',
+        function(done) {
+          const publicKey = clone(testPublicKeyEd25519);
+          publicKey.revoked = '2018-01-10T00:00:00Z';
+          publicKey.expires = '2018-01-20T00:00:00Z';
+          Promise.all([
+            jsigs.verify(signed, {publicKey, verifyAt: '2018-01-01T00:05:00Z'}),
+            jsigs.verify(signed, {
+              publicKey,
+              checkTimestamp: false,
+              verifyAt: '2018-01-15T00:00:00Z'
+            }),
+            jsigs.verify(signed, {
+              publicKey: Object.assign({}, publicKey, {revoked: undefined}),
+              checkTimestamp: false,
+              verifyAt: '2018-01-25T00:00:00Z'
+            })
+          ]).then(function(results) {
+            assert.equal(results[0].verified, true);
+            assert.equal(
+              getCheck(results[1], 'revocation').code, 'key-revoked');
+            assert.equal(
+              getCheck(results[2], 'keyExpiration').code, 'key-expired');
+          }).then(done, done);
+        });
+
+      it('should reject invalid clock options', function(done) {
+        Promise.all([
+          jsigs.verify(signed, {verifyAt: 'not a date'}),
+          // only ISO 8601 dates and times are accepted
+          jsigs.verify(signed, {verifyAt: 'Jan 1 2018'}),
+          jsigs.sign(testDocument, {
+            algorithm: 'Ed25519Signature2018',
+            privateKeyBase58: testPrivateKeyEd25519Base58,
+            creator: testPublicKeyEd25519.id,
+            now: function() {
+              return 'Jan 1 2018';
+            }
+          }),
+          jsigs.verify(signed, {
+            verifyAt: '2018-01-01T00:05:00Z',
+            now: Date.now
+          }),
+          jsigs.verify(signed, {now: '2018-01-01T00:05:00Z'})
+        ].map(function(promise) {
+          return promise.then(function() {
+            assert.fail('verification should have failed');
+          }, function(err) {
+            assert.instanceOf(err, TypeError);
+          });
+        })).then(function() {}).then(done, done);
+      });
+
+      it('should expire cached documents by its clock', function(done) {
+        let now = 0;
+        const cache = new jsigs.DocumentLoaderCache({
+          now: function() {
+            return now;
+          }
+        });
+        const url = 'https://example.com/a';
+        cache.set(url, {contextUrl: null, documentUrl: url, document: {}}, {
+          ttl: 1000
+        });
+        now = 999;
+        cache.get(url).then(function(remoteDoc) {
+          assert.equal(remoteDoc.documentUrl, url);
+          now = 1000;
+          return cache.get(url);
+        }).then(function(remoteDoc) {
+          assert.equal(remoteDoc, undefined);
+        }).then(done, done);
+      });
+    });
+
+    describe('timestamp checks', function() {
+      function sign(date) {
+        return jsigs.sign(testDocument, {
+          algorithm: 'Ed25519Signature2018',
+          privateKeyBase58: testPrivateKeyEd25519Base58,
+          creator: testPublicKeyEd25519.id,
+          date
+        });
+      }
+
+      function getCheck(result) {
+        return result.keyResults[0].checks.find(function(check) {
+          return check.name === 'timestamp';
+        });
+      }
+
+      it('should pass the created date to `checkTimestamp`', function(done) {
+        const dates = [];
+        sign('2018-01-01T00:00:00Z').then(function(signed) {
+          return jsigs.verify(signed, {
+            checkTimestamp: function(created, options) {
+              dates.push(created);
+              return Promise.resolve(true);
+            }
+          });
+        }).then(function(result) {
+          assert.equal(result.verified, true);
+          assert.equal(dates.length, 1);
+          assert.instanceOf(dates[0], Date);
+          assert.equal(dates[0].toISOString(), '2018-01-01T00:00:00.000Z');
+        }).then(done, done);
+      });
+
+      it('should reject an invalid created date', function(done) {
+        // `sign` rejects invalid dates, so set them in the proof instead
+        Promise.all(['2018-02-30T00:00:00Z', 'Jan 1 2018'].map(
+          function(created) {
+          return jsigs.sign(testDocument, {
+            algorithm: 'Ed25519Signature2018',
+            privateKeyBase58: testPrivateKeyEd25519Base58,
+            creator: testPublicKeyEd25519.id,
+            proof: {'@context': 'https://w3id.org/security/v2', created}
+          });
+        })).then(function(signed) {
+          return Promise.all(signed.map(function(signedDocument) {
+            return jsigs.verify(signedDocument, {
+              checkTimestamp: function() {
+                return Promise.resolve(true);
+              }
+            });
+          }).concat(jsigs.verify(signed[0], {checkTimestamp: false})));
+        }).then(function(results) {
+          [0, 1].forEach(function(i) {
+            assert.equal(results[i].verified, false);
+            assert.instanceOf(
+              results[i].keyResults[0].error,
+              jsigs.errors.InvalidTimestampError);
+            assert.equal(getCheck(results[i]).code, 'invalid-timestamp');
+          });
+          assert.equal(results[2].verified, true);
+        }).then(done, done);
+      });
+
+      it('should allow separate past and future skew', function(done) {
+        sign('2018-01-01T00:00:00Z').then(function(signed) {
+          return Promise.all([
+            // created 10 minutes before verification
+            jsigs.verify(signed, {
+              verifyAt: '2018-01-01T00:10:00Z',
+              maxTimestampPastDelta: 5 * 60
+            }),
+            jsigs.verify(signed, {
+              verifyAt: '2018-01-01T00:10:00Z',
+              maxTimestampFutureDelta: 5 * 60
+            }),
+            // created 10 minutes after verification
+            jsigs.verify(signed, {
+              verifyAt: '2017-12-31T23:50:00Z',
+              maxTimestampFutureDelta: 5 * 60
+            }),
+            jsigs.verify(signed, {
+              verifyAt: '2017-12-31T23:50:00Z',
+              maxTimestampPastDelta: 5 * 60
+            })
+          ]);
+        }).then(function(results) {
+          assert.equal(results[0].verified, false);
+          assert.equal(getCheck(results[0]).code, 'timestamp-out-of-range');
+          assert.equal(results[1].verified, true);
+          assert.equal(results[2].verified, false);
+          assert.equal(getCheck(results[2]).code, 'timestamp-out-of-range');
+          assert.equal(results[3].verified, true);
+        }).then(done, done);
+      });
+
+      it('should reject an invalid skew', function(done) {
+        jsigs.verify(testDocument, {
+          maxTimestampPastDelta: -1
+        }).then(function() {
+          assert.fail('verification should have failed');
+        }, function(err) {
+          assert.instanceOf(err, TypeError);
+        }).then(done, done);
+      });
+    });
+  });
+
+  context('with security context', function() {
+    // the test document that will be signed
+    var testDocument = {
+      '@context': [{
+        '@version': 1.1
+      }, {
+        schema: 'http://schema.org/',
+        name: 'schema:name',
+        homepage: 'schema:url',
+        image: 'schema:image'
+      }, jsigs.SECURITY_CONTEXT_URL],
+      name: 'Manu Sporny',
+      homepage: 'https://manu.sporny.org/',
+      image: 'https://manu.sporny.org/images/manu.png'
+    };
+    var testDocumentSigned = {};
+
+    describe(
+      'signing and verify GraphSignature2012 w/security context', function() {
+        it('should successfully sign a local document', function(done) {
+          jsigs.sign(testDocument, {
+            algorithm: 'GraphSignature2012',
+            privateKeyPem: testPrivateKeyPem,
+            creator: testPublicKeyUrl
+          }, function(err, signedDocument) {
+            assert.ifError(err);
+            assert.notEqual(signedDocument.signature, undefined,
+              'signature was not created');
+            assert.equal(signedDocument.signature.creator, testPublicKeyUrl,
+              'creator key for signature is wrong');
+            testDocumentSigned = signedDocument;
+            done();
+          });
+        });
+
+        it('should successfully verify a local signed document',
+          function(done) {
+            jsigs.verify(testDocumentSigned, {
+              publicKey: testPublicKey,
+              publicKeyOwner: testPublicKeyOwner
+            }, function(err, result) {
+              assert.ifError(err);
+              assert.equal(
+                result.verified, true, 'signature verification failed');
+              done();
+            });
+          });
+
+        it('should successfully sign a local document w/promises API',
+          function(done) {
+            jsigs.promises.sign(testDocument, {
+              algorithm: 'GraphSignature2012',
+              privateKeyPem: testPrivateKeyPem,
+              creator: testPublicKeyUrl
+            }).then(function(signedDocument) {
+              assert.notEqual(signedDocument.signature, undefined,
+                'signature was not created');
+              assert.equal(signedDocument.signature.creator, testPublicKeyUrl,
+                'creator key for signature is wrong');
+              testDocumentSigned = signedDocument;
+            }).catch(function(err) {
+              assert.ifError(err);
+            }).then(done, done);
+          });
+
+        it('should successfully verify a local signed document w/promises API',
+          function(done) {
+            jsigs.promises.verify(testDocumentSigned, {
+              publicKey: testPublicKey,
+              publicKeyOwner: testPublicKeyOwner
+            }).then(function(result) {
+              assert.equal(
+                result.verified, true, 'signature verification failed');
+            }).catch(function(err) {
+              assert.ifError(err);
+            }).then(done, done);
+          });
+
+      });
+
+    describe(
+      'signing and verify LinkedDataSignature2015 w/security context',
+      function() {
+        it('should successfully sign a local document', function(done) {
+          jsigs.sign(testDocument, {
+            algorithm: 'LinkedDataSignature2015',
+            privateKeyPem: testPrivateKeyPem,
+            creator: testPublicKeyUrl
+          }, function(err, signedDocument) {
+            assert.ifError(err);
+            assert.notEqual(signedDocument.signature, undefined,
+              'signature was not created');
+            assert.equal(signedDocument.signature.creator, testPublicKeyUrl,
+              'creator key for signature is wrong');
+            testDocumentSigned = signedDocument;
+            done();
+          });
+        });
+
+        it('should successfully verify a local signed document',
+          function(done) {
+            jsigs.verify(testDocumentSigned, {
+              publicKey: testPublicKey,
+              publicKeyOwner: testPublicKeyOwner
+            }, function(err, result) {
+              assert.ifError(err);
+              assert.equal(
+                result.verified, true, 'signature verification failed');
+              done();
+            });
+          });
+
+        it('should successfully sign a local document w/promises',
           function(done) {
             jsigs.promises.sign(testDocument, {
               algorithm: 'LinkedDataSignature2015',
@@ -1726,6 +4829,114 @@ const testPublicKeyEd25519Owner = {
     publicKey: testPublicKeyEd25519Url
   }
 };
+const testPublicKeySecp256k1Hex =
+  '02a3f6857c601157361eb22b64156f763286761ea90f84babaa690860b0f614d22';
+const testPrivateKeySecp256k1Hex =
+  'd7bd560001b246b1016276ffbf35494cc74dc3ac807b84350f0138b84e9fcb59';
+const testPublicKeySecp256k1Jwk = {
+  kty: 'EC',
+  crv: 'secp256k1',
+  x: 'o_aFfGARVzYesitkFW92MoZ2HqkPhLq6ppCGCw9hTSI',
+  y: 'U9Wm5mIvSsRZjJX4UVrpBKXlfckssrAJ58PKS4K6iJg'
+};
+const testPrivateKeySecp256k1Jwk = Object.assign({
+  d: '171WAAGyRrEBYnb_vzVJTMdNw6yAe4Q1DwE4uE6fy1k'
+}, testPublicKeySecp256k1Jwk);
+const testPublicKeySecp256k1 = {
+  '@context': jsigs.SECURITY_CONTEXT,
+  id: 'https://example.com/i/dave/keys/1',
+  type: 'EcdsaSecp256k1VerificationKey2019',
+  owner: 'https://example.com/i/dave',
+  publicKeyHex: testPublicKeySecp256k1Hex
+};
+const testPublicKeySecp256k1Owner = {
+  '@context': jsigs.SECURITY_CONTEXT,
+  id: 'https://example.com/i/dave',
+  publicKey: [testPublicKeySecp256k1]
+};
+const testPrivateKeyP256Hex =
+  '2f01ed6f3b4c302ef60bdae228b5031ed899c730bc78a4dd2dccb0120759f193';
+const testPrivateKeyP256Jwk = {
+  kty: 'EC',
+  crv: 'P-256',
+  x: '96BFnARj-F7o5iLBQnU06V7jNVgikYgOL3iEHWpZYG0',
+  y: 'MUZBskr63j9NRJroxWoykE_0DCakr-RWJrAmdpqtheo',
+  d: 'LwHtbztMMC72C9riKLUDHtiZxzC8eKTdLcywEgdZ8ZM'
+};
+const testPublicKeyP256 = {
+  '@context': jsigs.SECURITY_CONTEXT,
+  id: 'https://example.com/i/erin/keys/1',
+  type: 'EcdsaSecp256r1VerificationKey2019',
+  owner: 'https://example.com/i/erin',
+  publicKeyHex:
+    '02f7a0459c0463f85ee8e622c1427534e95ee335582291880e2f78841d6a59606d'
+};
+const testPrivateKeyP384Hex =
+  '00a2f722b0d09e45fdecc14719e2b93c465c34b10b211a5730154740cea60db1' +
+  '29d5a50bfd137c6abf9fb941df83f8fc';
+const testPrivateKeyP384Jwk = {
+  kty: 'EC',
+  crv: 'P-384',
+  x: 'ySdT6Ros0aQlr84HAiPdSkqqS9WB3K0R6F_RcfmUb2VRBu6Lg94YkedHuzTdPKRv',
+  y: 'n21yf3nqWaR2t9C64zOKMdE5zNiR3KMiaeqB7pswR0j4TdAoS_QC2IFQMsD7Ckkx',
+  d: 'AKL3IrDQnkX97MFHGeK5PEZcNLELIRpXMBVHQM6mDbEp1aUL_RN8ar-fuUHfg_j8'
+};
+const testPublicKeyP384 = {
+  '@context': jsigs.SECURITY_CONTEXT,
+  id: 'https://example.com/i/frank/keys/1',
+  type: 'EcdsaSecp384r1VerificationKey2019',
+  owner: 'https://example.com/i/frank',
+  publicKeyHex:
+    '03c92753e91a2cd1a425afce070223dd4a4aaa4bd581dcad11e85fd171f9946f65' +
+    '5106ee8b83de1891e747bb34dd3ca46f'
+};
+const testPrivateKeyEd25519Jwk = {
+  kty: 'OKP',
+  crv: 'Ed25519',
+  x: '7V_mYIXD6_ohLzqpFT43WvsUaBG5pAnKGPw0bwawwRQ',
+  d: 'dfJMoF0NuTzAyjQaLSqw1LXch6kszq03kGi2zvbaM1s'
+};
+// JWK form of `testPrivateKeyPem`
+const testPrivateKeyRsaJwk = {
+  kty: 'RSA',
+  n: 'uEdQJmGMhOOxTGYKO9PDYRVPrflVp9d9z2Brf1mJg-QZyo-u_WIlJsqwt4V-qGX6OHla' +
+    'TpMnMWbxoFwi0Brg6eOV32ZHbI6rN6OthJ-GI5R1sYHhppIkahn2d7Cd7uVmdscGqXWW' +
+    'N_9k_6Dlea4vEpLU75lRgsocBbiQvzWyTBM',
+  e: 'AQAB',
+  d: 'ZXNdPMQXiFGSGm1S1P0QYzJIW48ZCP4p1TFP_RxeCK5bRJk1zWlq6qBMCb0ErdD2oICu' +
+    'pvN8cEYsYAxZXhhuGWZ60vggbqTTa-4LXB-SGCbKMX711ZoQHdY7rnaFb_Udf4wTLD1y' +
+    'Aslx1TrHkV56OfuJcEdWC7JWqyNXQoxedwE',
+  p: '2b3BJgU_0qJf0gE-WUrIF5usQqxJeCtulcsNzOVEoUUpYJNdoH6qkqXXj-We43Vf7efr' +
+    'w_PTiVX2mk8OIfQYmw',
+  q: '2Khe03oYQzqP1V4YyV3QeC4yl5fCBr8HRyOMC4qHHKQqBp2VDUyuRBJhTqqf1ErzUBkX' +
+    'seawNxtyuPmPrMSl6Q',
+  dp: 'QOgfu4W1EMT2a1OTkmqIWwE8yGMzQ28u99gftQRjAO_s9az4K--WSUDGkU6RnpxOjEym' +
+    'KzNzy2ykpjsKq3RoIQ',
+  dq: 'A-XLhuxsYVE9Yy5FLeI1LORP3rBJOkvXeq0mCNMeKSK-6s2M7-dQP0NBYuPo6i3LAMbi' +
+    'yT2IMAWbY76Bmi8TeQ',
+  qi: 'fdLJGwiDNIhTVYHxvDz79ANzgRAd1kPKPddJZ_w7Gfhm8Mezti8HCizDxPb-H8HlJMSk' +
+    'foHx1veWkdLaPWRFrA'
+};
+const testPublicKeyEd25519Multibase = {
+  '@context': jsigs.SECURITY_CONTEXT,
+  id: 'https://example.com/i/heidi/keys/1',
+  type: 'Ed25519VerificationKey2020',
+  owner: 'https://example.com/i/heidi',
+  // same key material as `testPublicKeyEd25519Base58`
+  publicKeyMultibase: 'z6MkvRsV39xVQc8HevAQwCqEw18DwrEtzVLz8NJY15NtfMmD'
+};
+const testDidWeb = 'did:web:example.com:i:ivan';
+const testDidWebDocument = {
+  '@context': jsigs.SECURITY_CONTEXT,
+  id: testDidWeb,
+  verificationMethod: [{
+    id: testDidWeb + '#key-1',
+    type: 'Ed25519VerificationKey2018',
+    controller: testDidWeb,
+    publicKeyBase58: testPublicKeyEd25519.publicKeyBase58
+  }],
+  assertionMethod: [testDidWeb + '#key-1']
+};
 var getterDocs = {};
 getterDocs[testPublicKey3.id] = testPublicKey3;
 getterDocs[testPublicKeyOwner3.id] = testPublicKeyOwner3;
@@ -32,6 +32,8 @@ const jsonld = require('../node_modules/jsonld/dist/jsonld.js');
 //var system = require('system');
 const forge = require('../node_modules/node-forge');
 window.forge = forge;
+const elliptic = require('../node_modules/elliptic');
+window.elliptic = elliptic;
 const bitcoreMessage = require(
   '../node_modules/bitcore-message/dist/bitcore-message.js');
 window.bitcoreMessage = bitcoreMessage;